@@ -9,6 +9,111 @@ module.exports = {
 		const result = await homey.app.deleteLogs();
 		return result;
 	},
+	// list cars
+	async getDevices({ homey }) {
+		const result = await homey.app.getDevices();
+		return result;
+	},
+	// retrieve trips
+	async getTrips({ homey, query }) {
+		const result = await homey.app.getTrips(query);
+		return result;
+	},
+	// retrieve one trip including the track
+	async getTrip({ homey, query }) {
+		const result = await homey.app.getTrip(query);
+		return result;
+	},
+	// export trips as GPX, KML or CSV
+	async exportTrips({ homey, query }) {
+		const result = await homey.app.exportTrips(query);
+		return result;
+	},
+	// delete trips
+	async deleteTrips({ homey, query }) {
+		const result = await homey.app.deleteTrips(query);
+		return result;
+	},
+	// retrieve charging sessions
+	async getChargeSessions({ homey, query }) {
+		const result = await homey.app.getChargeSessions(query);
+		return result;
+	},
+	// retrieve the 12V battery history and drain estimate
+	async getBatteryHealth({ homey, query }) {
+		const result = await homey.app.getBatteryHealth(query);
+		return result;
+	},
+	// retrieve the history of tire pressure warnings
+	async getTireWarnings({ homey, query }) {
+		const result = await homey.app.getTireWarnings(query);
+		return result;
+	},
+	// retrieve the charge plan
+	async getChargePlan({ homey, query }) {
+		const result = await homey.app.getChargePlan(query);
+		return result;
+	},
+	// push hourly energy prices and departure time to the charge planner
+	async setChargePrices({ homey, query, body }) {
+		const result = await homey.app.setChargePrices(query, body);
+		return result;
+	},
+	// retrieve departure timers and off-peak window
+	async getDepartureTimers({ homey, query }) {
+		const result = await homey.app.getDepartureTimers(query);
+		return result;
+	},
+	// change departure timers and off-peak window
+	async setDepartureTimers({ homey, query, body }) {
+		const result = await homey.app.setDepartureTimers(query, body);
+		return result;
+	},
+	// retrieve climate profiles
+	async getClimateProfiles({ homey, query }) {
+		const result = await homey.app.getClimateProfiles(query);
+		return result;
+	},
+	// replace all climate profiles
+	async setClimateProfiles({ homey, query, body }) {
+		const result = await homey.app.setClimateProfiles(query, body);
+		return result;
+	},
+	// retrieve the preconditioning plan
+	async getPrecondition({ homey, query }) {
+		const result = await homey.app.getPrecondition(query);
+		return result;
+	},
+	// plan preconditioning from departure time and outside temperature
+	async setPrecondition({ homey, query, body }) {
+		const result = await homey.app.setPrecondition(query, body);
+		return result;
+	},
+	// retrieve the running, pending and recently rejected commands
+	async getQueue({ homey, query }) {
+		const result = await homey.app.getQueue(query);
+		return result;
+	},
+	// remove a pending command from the queue
+	async rejectQueueItem({ homey, query, body }) {
+		const result = await homey.app.rejectQueueItem(query, body);
+		return result;
+	},
+	// start or stop recording the raw server responses of a car
+	async setCapture({ homey, query, body }) {
+		const result = await homey.app.setCapture(query, body);
+		return result;
+	},
+	// download the recorded session, with personal data redacted
+	async getCapture({ homey, query }) {
+		const result = await homey.app.getCapture(query);
+		return result;
+	},
+	// replay a recorded session into the car status
+	async replaySession({ homey, query, body }) {
+		const result = await homey.app.replaySession(query, body);
+		return result;
+	},
 	// cloud refresh
 	async forceLive({ homey, query }) {
 		const result = await homey.app.remoteRefresh(query);
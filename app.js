@@ -21,6 +21,11 @@ along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
 
 const Homey = require('homey');
 const Logger = require('./captureLogs.js');
+const { exportTrips } = require('./trip_export');
+const geofence = require('./geofence');
+const departureTimers = require('./drivers/departure_timers');
+const RequestBudget = require('./request_budget');
+const SessionManager = require('./session_manager');
 
 class carApp extends Homey.App {
 
@@ -28,6 +33,12 @@ class carApp extends Homey.App {
 		process.env.LOG_LEVEL = 'info'; // info or debug
 		if (!this.logger) this.logger = new Logger({ name: 'log', length: 200, homey: this.homey });
 		this.log('Hyundai and Kia app is running...');
+		this.requestBudget = new RequestBudget({ accounts: this.homey.settings.get('requestBudget') || {} });
+		this.requestBudgetSaved = 0;
+		this.sessions = new SessionManager({
+			onRequests: (key, count) => this.recordRequests(key, 'server', count),
+			log: (...args) => this.log(...args),
+		});
 
 		// register some listeners
 		process.on('unhandledRejection', (error) => {
@@ -41,6 +52,7 @@ class carApp extends Homey.App {
 				this.log('app unload called');
 				// save logs to persistant storage
 				this.logger.saveLogs();
+				this.homey.settings.set('requestBudget', this.requestBudget.accounts);
 			})
 			.on('memwarn', () => {
 				this.log('memwarn!');
@@ -53,6 +65,14 @@ class carApp extends Homey.App {
 
 	}
 
+	// requests of all cars are counted per account, and saved at most once a minute
+	recordRequests(key, kind, count) {
+		this.requestBudget.record(key, kind, count);
+		if ((Date.now() - this.requestBudgetSaved) < 60 * 1000) return;
+		this.requestBudgetSaved = Date.now();
+		this.homey.settings.set('requestBudget', this.requestBudget.accounts);
+	}
+
 	//  stuff for frontend API
 	deleteLogs() {
 		return this.logger.deleteLogs();
@@ -62,6 +82,119 @@ class carApp extends Homey.App {
 		return this.logger.logArray;
 	}
 
+	getDevices() {
+		const devices = this.getAllDevices();
+		return devices.map((device) => ({ id: device.getData().id, name: device.getName() }));
+	}
+
+	getTrips(query) {
+		const device = this.getDeviceById(query.id);
+		return device.tripLog.getTrips(query)
+			.map((trip) => ({ ...trip, track: undefined })); // leave out the track to keep the response small
+	}
+
+	getTrip(query) {
+		const device = this.getDeviceById(query.id);
+		const trip = device.tripLog.getTrip(query.trip);
+		if (!trip) throw Error('Trip not found');
+		return trip;
+	}
+
+	getChargeSessions(query) {
+		const device = this.getDeviceById(query.id);
+		return device.chargeSessions.getSessions(query);
+	}
+
+	getBatteryHealth(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getBatteryHealth();
+	}
+
+	getTireWarnings(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getTireWarnings();
+	}
+
+	getDepartureTimers(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getDepartureTimers();
+	}
+
+	setDepartureTimers(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.setDepartureTimers(body, 'app settings');
+	}
+
+	getClimateProfiles(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getClimateProfiles();
+	}
+
+	setClimateProfiles(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.setClimateProfiles(body, 'app settings');
+	}
+
+	getPrecondition(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getPrecondition();
+	}
+
+	setPrecondition(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.setPrecondition(body.departure, body.temperature, 'app api');
+	}
+
+	getQueue(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getQueue();
+	}
+
+	rejectQueueItem(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.rejectQueueItem(body.item, body.reason, 'app api');
+	}
+
+	setCapture(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.setCapture(!!body.enabled, 'app api');
+	}
+
+	getCapture(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getCapture();
+	}
+
+	replaySession(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.replaySession(body, 'app api');
+	}
+
+	getChargePlan(query) {
+		const device = this.getDeviceById(query.id);
+		return device.getChargePlan();
+	}
+
+	setChargePrices(query, body) {
+		const device = this.getDeviceById(query.id);
+		return device.setChargePrices(body.prices, body.departure, 'app api');
+	}
+
+	exportTrips(query) {
+		const device = this.getDeviceById(query.id);
+		const trips = query.trip ? [this.getTrip(query)] : device.tripLog.getTrips(query);
+		const name = query.trip ? `${device.getName()}_${query.trip}` : `${device.getName()}_trips`;
+		return exportTrips(trips, (query.format || 'gpx').toLowerCase(), name);
+	}
+
+	async deleteTrips(query) {
+		const device = this.getDeviceById(query.id);
+		device.tripLog.deleteTrips();
+		await device.setStoreValue('trips', device.tripLog.trips);
+		await device.setStoreValue('openTrip', device.tripLog.openTrip);
+		return true;
+	}
+
 	remoteRefresh(query) {
 		const devices = this.getAllDevices();
 		devices.forEach((device) => {
@@ -81,6 +214,31 @@ class carApp extends Homey.App {
 		return devices;
 	}
 
+	getDeviceById(id) {
+		const device = this.getAllDevices().filter((dev) => dev.getData().id === id)[0];
+		if (!device) throw Error('Car not found');
+		return device;
+	}
+
+	// zones are managed from the app settings page
+	getZones() {
+		const zones = this.homey.settings.get('zones') || [];
+		return zones.filter((zone) => {
+			try {
+				return geofence.validateZone(zone);
+			} catch (error) {
+				this.error(error.message);
+				return false;
+			}
+		});
+	}
+
+	zoneAutocomplete(query, anyZone) {
+		const zones = this.getZones().map((zone) => ({ name: zone.name, id: zone.id }));
+		if (anyZone) zones.unshift({ name: 'Any zone', id: '*' });
+		return zones.filter((zone) => zone.name.toLowerCase().includes((query || '').toLowerCase()));
+	}
+
 	setHomeyLink(available, source) {	// call with device bound as this
 		if (!available) {
 			this.disabled = true;
@@ -121,9 +279,94 @@ class carApp extends Homey.App {
 		const defrostOn = this.homey.flow.getActionCard('defrost_on');
 		defrostOn.registerRunListener((args) => args.device.defrostOnOff(true, 'flow'));
 
+		const lock = this.homey.flow.getActionCard('lock');
+		lock.registerRunListener((args) => args.device.lock(true, 'flow'));
+
+		const unlock = this.homey.flow.getActionCard('unlock');
+		unlock.registerRunListener((args) => args.device.unlockRequest(args.secret, 'flow'));
+
 		const setTargetTemp = this.homey.flow.getActionCard('set_target_temp');
 		setTargetTemp.registerRunListener((args) => args.device.setTargetTemp(args.temp, 'flow'));
 
+		const startClimate = this.homey.flow.getActionCard('start_climate');
+		startClimate.registerRunListener((args) => {
+			const options = {
+				temperature: args.temp,
+				defrost: args.defrost === 'on',
+				steeringWheel: args.steering_wheel === 'on',
+				rearWindow: args.rear_window === 'on',
+			};
+			if (args.device.hasCapability('seat_climate.driver')) options.seats = { driver: args.driver_seat };
+			return args.device.startClimate(options, 'flow');
+		});
+
+		const startClimateProfile = this.homey.flow.getActionCard('start_climate_profile');
+		startClimateProfile.registerRunListener((args) => args.device.startClimateProfile(args.profile.id, 'flow'));
+		startClimateProfile.getArgument('profile').registerAutocompleteListener((query, args) => args.device.getClimateProfiles()
+			.map((profile) => ({ name: profile.name, description: `${profile.temperature}°C, ${profile.duration} min`, id: profile.id }))
+			.filter((profile) => profile.name.toLowerCase().includes((query || '').toLowerCase())));
+
+		const preconditionDeparture = this.homey.flow.getActionCard('precondition_departure');
+		preconditionDeparture.registerRunListener((args) => args.device.setPrecondition(args.departure, args.temperature, 'flow'));
+
+		const setHeater = this.homey.flow.getActionCard('set_heater');
+		setHeater.registerRunListener((args) => args.device.setHeater(args.heater, args.state === 'on', 'flow'));
+
+		const setSeatClimate = this.homey.flow.getActionCard('set_seat_climate');
+		setSeatClimate.registerRunListener((args) => args.device.setSeatClimate(args.seat, args.level, 'flow'));
+
+		const setChargeLimit = this.homey.flow.getActionCard('set_charge_limit');
+		setChargeLimit.registerRunListener((args) => args.device.setChargeLimit(args.ac, args.dc, 'flow'));
+
+		const setChargePrices = this.homey.flow.getActionCard('set_charge_prices');
+		setChargePrices.registerRunListener((args) => args.device.setChargePrices(args.prices, args.departure, 'flow'));
+
+		const overrideChargePlan = this.homey.flow.getActionCard('override_charge_plan');
+		overrideChargePlan.registerRunListener((args) => args.device.overrideChargePlan(args.mode, 'flow'));
+
+		const setDepartureTimer = this.homey.flow.getActionCard('set_departure_timer');
+		setDepartureTimer.registerRunListener((args) => {
+			const climate = {
+				enabled: args.climate !== 'off',
+				defrost: args.climate === 'defrost',
+				temperature: args.temp,
+			};
+			const changes = {
+				enabled: true,
+				time: args.time,
+				days: departureTimers.parseDays(args.days),
+				climate,
+			};
+			return args.device.setDepartureTimer(args.timer, changes, 'flow');
+		});
+
+		const departureTimerOff = this.homey.flow.getActionCard('departure_timer_off');
+		departureTimerOff.registerRunListener((args) => args.device.setDepartureTimer(args.timer, { enabled: false }, 'flow'));
+
+		const setOffPeakWindow = this.homey.flow.getActionCard('set_offpeak_window');
+		setOffPeakWindow.registerRunListener((args) => args.device.setOffPeakWindow({ mode: args.mode, start: args.start, end: args.end }, 'flow'));
+
+		// trigger cards
+		const enteredZone = this.homey.flow.getDeviceTriggerCard('entered_zone');
+		enteredZone.registerRunListener((args, state) => args.zone.id === '*' || args.zone.id === state.zone);
+		enteredZone.getArgument('zone').registerAutocompleteListener((query) => this.zoneAutocomplete(query, true));
+
+		const leftZone = this.homey.flow.getDeviceTriggerCard('left_zone');
+		leftZone.registerRunListener((args, state) => args.zone.id === '*' || args.zone.id === state.zone);
+		leftZone.getArgument('zone').registerAutocompleteListener((query) => this.zoneAutocomplete(query, true));
+
+		// fires once, when the estimate drops to or below the threshold
+		const chargeAlmostDone = this.homey.flow.getDeviceTriggerCard('charge_almost_done');
+		chargeAlmostDone.registerRunListener((args, state) => state.previous > args.minutes && state.current <= args.minutes);
+
+		const leftUnlocked = this.homey.flow.getDeviceTriggerCard('left_unlocked');
+		leftUnlocked.registerRunListener((args, state) => state.previous < args.minutes && state.minutes >= args.minutes);
+
+		// fires once, when the predicted hours left drop to or below the set hours
+		const battery12vLowSoon = this.homey.flow.getDeviceTriggerCard('battery_12v_low_soon');
+		battery12vLowSoon.registerRunListener((args, state) => (state.previous === null || state.previous > args.hours)
+			&& state.hoursLeft <= args.hours);
+
 		// condition cards
 		const alarmBattery = this.homey.flow.getConditionCard('alarm_battery');
 		alarmBattery.registerRunListener((args) => args.device.getCapabilityValue('alarm_battery'));
@@ -146,12 +389,26 @@ class carApp extends Homey.App {
 		const engine = this.homey.flow.getConditionCard('engine');
 		engine.registerRunListener((args) => args.device.getCapabilityValue('engine'));
 
+		const locked = this.homey.flow.getConditionCard('locked');
+		locked.registerRunListener((args) => args.device.getCapabilityValue('locked'));
+
 		const moving = this.homey.flow.getConditionCard('moving');
 		moving.registerRunListener((args) => args.device.moving);
 
 		const parked = this.homey.flow.getConditionCard('parked');
 		parked.registerRunListener((args) => args.device.parked);
 
+		const departureTimerOn = this.homey.flow.getConditionCard('departure_timer_on');
+		departureTimerOn.registerRunListener((args) => {
+			if (!args.device.departureTimers) return false; // no status from the car yet
+			const timer = args.device.getDepartureTimers().timers.find((tmr) => tmr.id === Number(args.timer));
+			return !!timer && timer.enabled;
+		});
+
+		const inZone = this.homey.flow.getConditionCard('in_zone');
+		inZone.registerRunListener((args) => args.device.isInZone(args.zone.id));
+		inZone.getArgument('zone').registerAutocompleteListener((query) => this.zoneAutocomplete(query));
+
 		const homeyLinkOn = this.homey.flow.getActionCard('homey_link_on');
 		homeyLinkOn.registerRunListener((args) => {
 			const devices = this.getAllDevices();
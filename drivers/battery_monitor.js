@@ -0,0 +1,77 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const hour = 60 * 60 * 1000;
+
+// BatteryMonitor keeps a history of the 12V battery charge, and estimates how fast it drains while the car is parked.
+// sample: { time, soc, state, parked } with soc in % and state the batState reported by the car
+class BatteryMonitor {
+
+	constructor(opts) {
+		this.maxSamples = (opts && opts.maxSamples) || 200;
+		this.samples = (opts && opts.samples) || [];
+	}
+
+	// only keeps a sample when something changed, or once an hour
+	addSample(sample) {
+		const last = this.samples[this.samples.length - 1];
+		const changed = !last || last.soc !== sample.soc || last.state !== sample.state || last.parked !== sample.parked
+			|| sample.time - last.time >= hour;
+		if (!changed || !Number.isFinite(sample.soc)) return false;
+		if (this.samples.length >= this.maxSamples) this.samples.shift();
+		this.samples.push(sample);
+		return true;
+	}
+
+	// the samples since the car was last parked
+	parkedSamples() {
+		const index = this.samples.map((sample) => sample.parked).lastIndexOf(false);
+		return this.samples.slice(index + 1);
+	}
+
+	// drain in % per parked hour (least squares), or null when there is not enough data yet
+	drainRate() {
+		const samples = this.parkedSamples();
+		if (samples.length < 2 || samples[samples.length - 1].time - samples[0].time < hour) return null;
+		const t0 = samples[0].time;
+		const points = samples.map((sample) => ({ x: (sample.time - t0) / hour, y: sample.soc }));
+		const n = points.length;
+		const sumX = points.reduce((sum, p) => sum + p.x, 0);
+		const sumY = points.reduce((sum, p) => sum + p.y, 0);
+		const sumXY = points.reduce((sum, p) => sum + p.x * p.y, 0);
+		const sumXX = points.reduce((sum, p) => sum + p.x * p.x, 0);
+		const denominator = n * sumXX - sumX * sumX;
+		if (!denominator) return null;
+		const slope = (n * sumXY - sumX * sumY) / denominator;
+		return Math.round(-slope * 100) / 100;
+	}
+
+	// hours until the charge drops below the threshold, or null when it is not draining
+	hoursLeft(threshold) {
+		const rate = this.drainRate();
+		const last = this.samples[this.samples.length - 1];
+		if (!last || !rate || rate <= 0) return null;
+		return Math.max(Math.round(((last.soc - threshold) / rate) * 10) / 10, 0);
+	}
+
+}
+
+module.exports = BatteryMonitor;
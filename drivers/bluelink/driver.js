@@ -30,24 +30,49 @@ const driverSpecifics = {
 		'locked',
 		'defrost',
 		'climate_control',
+		'steering_wheel_heat',
+		'rear_window_heat',
 
 		'last_refresh',
 		'engine',
 		'closed_locked',
+		'alarm_contact.front_left',
+		'alarm_contact.front_right',
+		'alarm_contact.back_left',
+		'alarm_contact.back_right',
+		'alarm_contact.trunk',
+		'alarm_contact.hood',
+		'alarm_contact.windows',
 		'location',
 		'distance',
+		'current_zone',
 		'etth',
 		'speed',
 		'range',
 
 		'charger',
 		'charging',
+		'time_to_full',
+		'charge_complete_at',
+		'charge_energy_month',
+		'charge_cost_month',
+		'charge_limit_ac',
+		'charge_limit_dc',
+		'charge_plan',
 		'odometer',
 		'alarm_tire_pressure',
+		'alarm_tire_pressure.front_left',
+		'alarm_tire_pressure.front_right',
+		'alarm_tire_pressure.rear_left',
+		'alarm_tire_pressure.rear_right',
 		'alarm_battery',
+		'request_budget',
+		'circuit_state',
 
 		'measure_battery.EV',
 		'measure_battery.12V',
+		'battery_drain',
+		'battery_hours_left',
 
 		'latitude',
 		'longitude',
@@ -0,0 +1,134 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const hour = 60 * 60 * 1000;
+
+// ChargePlanner picks the cheapest hours to charge the EV before departure, based on hourly energy prices.
+// prices: [{ start, price }] with start in ms, each slot lasting one hour
+// plan: { created, departure, target, hoursNeeded, slots: [{ start, end, price }], short }
+// override: 'charge' (charge now), 'pause' (do not charge) or null (follow the plan)
+class ChargePlanner {
+
+	constructor(opts) {
+		this.prices = (opts && opts.prices) || [];
+		this.plan = (opts && opts.plan) || null;
+		this.override = (opts && opts.override) || null;
+	}
+
+	// accepts [0.21, 0.19, ...] starting at the current hour, or [{ time|start, price|value }, ...]
+	static parsePrices(input, now) {
+		const list = typeof input === 'string' ? JSON.parse(input) : input;
+		if (!Array.isArray(list) || !list.length) throw Error('Prices must be a non-empty list');
+		const firstHour = Math.floor((now || Date.now()) / hour) * hour;
+		return list
+			.map((item, index) => {
+				if (typeof item === 'number' || typeof item === 'string') return { start: firstHour + index * hour, price: Number(item) };
+				const start = new Date(item.time || item.start || item.startsAt).getTime();
+				return { start: Math.floor(start / hour) * hour, price: Number(item.price !== undefined ? item.price : item.value) };
+			})
+			.map((slot) => {
+				if (!Number.isFinite(slot.start) || !Number.isFinite(slot.price)) throw Error('Prices contain an invalid entry');
+				return slot;
+			})
+			.sort((a, b) => a.start - b.start);
+	}
+
+	setPrices(input, now) {
+		this.prices = ChargePlanner.parsePrices(input, now);
+		return this.prices;
+	}
+
+	// soc and target in %, capacity in kWh, power in kW, departure and now in ms
+	makePlan({
+		soc, target, capacity, power, departure, now,
+	}) {
+		const time = now || Date.now();
+		if (!(departure > time)) throw Error('Departure must be in the future');
+		if (!(capacity > 0) || !(power > 0)) throw Error('Battery capacity and charge power must be larger than 0');
+		const energyNeeded = (Math.max(target - soc, 0) / 100) * capacity;
+		const hoursNeeded = Math.ceil(energyNeeded / power);
+		const candidates = this.prices.filter((slot) => slot.start + hour > time && slot.start < departure);
+		const slots = [...candidates]
+			.sort((a, b) => a.price - b.price || a.start - b.start)
+			.slice(0, hoursNeeded)
+			.map((slot) => ({ start: slot.start, end: Math.min(slot.start + hour, departure), price: slot.price }))
+			.sort((a, b) => a.start - b.start);
+		this.plan = {
+			created: time,
+			departure,
+			target,
+			hoursNeeded,
+			slots,
+			short: slots.length < hoursNeeded, // not enough priced hours before departure
+		};
+		return this.plan;
+	}
+
+	clearPlan() {
+		this.plan = null;
+		this.override = null;
+	}
+
+	// true when the car should be charging at this moment
+	shouldCharge(now) {
+		const time = now || Date.now();
+		if (this.override === 'charge') return true;
+		if (this.override === 'pause' || !this.plan) return false;
+		return this.plan.slots.some((slot) => slot.start <= time && time < slot.end);
+	}
+
+	// true when the plan has nothing left to do
+	isDone(now) {
+		const time = now || Date.now();
+		return !this.plan || time >= this.plan.departure || this.plan.slots.every((slot) => slot.end <= time);
+	}
+
+	// e.g. '01:00-03:00, 05:00-06:00' in the provided timezone
+	describe(timeZone) {
+		if (!this.plan) return '-';
+		if (!this.plan.slots.length) return 'no charging needed';
+		const format = (time) => new Date(time).toLocaleTimeString('nl-NL', { hour12: false, timeZone }).substring(0, 5);
+		// merge adjacent hours into one block
+		const blocks = this.plan.slots.reduce((accu, slot) => {
+			const last = accu[accu.length - 1];
+			if (last && last.end === slot.start) last.end = slot.end;
+			else accu.push({ start: slot.start, end: slot.end });
+			return accu;
+		}, []);
+		return blocks.map((block) => `${format(block.start)}-${format(block.end)}`).join(', ');
+	}
+
+	// the next occurrence of 'HH:MM' in the provided timezone, in ms
+	static nextTime(hhmm, timeZone, now) {
+		const time = now || Date.now();
+		const [hours, minutes] = `${hhmm}`.split(':').map(Number);
+		if (!Number.isInteger(hours) || !Number.isInteger(minutes) || hours > 23 || minutes > 59) throw Error(`Invalid time: ${hhmm}`);
+		const local = new Date(new Date(time).toLocaleString('en-US', { timeZone }));
+		const offset = local.getTime() - time;
+		local.setHours(hours, minutes, 0, 0);
+		let next = local.getTime() - offset;
+		if (next <= time) next += 24 * hour;
+		return next;
+	}
+
+}
+
+module.exports = ChargePlanner;
@@ -0,0 +1,142 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// ChargeSessions keeps the charging sessions of one EV. A session runs from plug-in to unplug.
+// batteryPlugin: 0 = not connected, 1 = fast (DC), 2 = portable (AC), 3 = station (AC)
+class ChargeSessions {
+
+	constructor(opts) {
+		this.maxSessions = opts.maxSessions || 200;
+		this.sessions = opts.sessions || [];
+		this.openSession = opts.openSession || null;
+		this.lastState = opts.lastState || null; // { plugged, charging }
+		this.capacity = Number(opts.capacity) || 0; // kWh
+		this.tariff = Number(opts.tariff) || 0; // cost per kWh
+	}
+
+	// state: { time, plugged, charging, soc, location: { latitude, longitude, address } }
+	// returns a list of detected events: plugged_in, charge_started, charge_stopped, unplugged
+	update(state) {
+		const events = [];
+		const last = this.lastState || { plugged: 0, charging: false };
+		const plugged = state.plugged || 0;
+		if (plugged && !last.plugged) {
+			events.push('plugged_in');
+			this.open(state);
+		}
+		if (state.charging && !last.charging) {
+			events.push('charge_started');
+			if (!this.openSession) this.open(state);
+			this.openSession.chargeStart = this.openSession.chargeStart || state.time;
+			this.openSession.chargingSince = state.time;
+		}
+		if (this.openSession) {
+			this.openSession.socEnd = state.soc;
+			if (plugged) this.openSession.type = plugged === 1 ? 'DC' : 'AC';
+		}
+		if (!state.charging && last.charging && this.openSession) {
+			events.push('charge_stopped');
+			this.stopCharging(state.time);
+		}
+		if (!plugged && last.plugged && this.openSession) {
+			events.push('unplugged');
+			this.close(state);
+		}
+		this.lastState = { plugged, charging: !!state.charging };
+		return events;
+	}
+
+	open(state) {
+		this.openSession = {
+			id: `${state.time}`,
+			plugIn: state.time,
+			chargeStart: null,
+			chargingSince: null,
+			chargeStop: null,
+			chargeTime: 0, // minutes
+			type: state.plugged === 1 ? 'DC' : 'AC',
+			socStart: state.soc,
+			socEnd: state.soc,
+			location: state.location,
+		};
+		return this.openSession;
+	}
+
+	stopCharging(time) {
+		const session = this.openSession;
+		if (session.chargingSince) session.chargeTime += Math.max(time - session.chargingSince, 0) / 1000 / 60;
+		session.chargingSince = null;
+		session.chargeStop = time;
+	}
+
+	close(state) {
+		const session = this.openSession;
+		if (session.chargingSince) this.stopCharging(state.time);
+		const summary = this.summarize(session);
+		const closed = {
+			id: session.id,
+			plugIn: session.plugIn,
+			unplug: state.time,
+			chargeStart: session.chargeStart,
+			chargeStop: session.chargeStop,
+			duration: Math.round(session.chargeTime),
+			type: session.type,
+			socStart: session.socStart,
+			socEnd: session.socEnd,
+			location: session.location,
+			...summary,
+		};
+		if (this.sessions.length >= this.maxSessions) this.sessions.shift();
+		this.sessions.push(closed);
+		this.openSession = null;
+		return closed;
+	}
+
+	// estimated energy and cost, based on the SoC gained and the configured battery capacity
+	summarize(session) {
+		const socGained = Number.isFinite(session.socEnd) && Number.isFinite(session.socStart)
+			? Math.max(session.socEnd - session.socStart, 0) : 0;
+		const energy = Math.round((socGained / 100) * this.capacity * 100) / 100;
+		const cost = Math.round(energy * this.tariff * 100) / 100;
+		return { socGained, energy, cost };
+	}
+
+	// totals of all sessions that started in the month of the provided key (e.g. '2021-03')
+	monthTotals(monthKey, getMonthKey) {
+		const sessions = this.openSession ? [...this.sessions, { ...this.openSession, ...this.summarize(this.openSession) }] : this.sessions;
+		return sessions
+			.filter((session) => getMonthKey(session.plugIn) === monthKey)
+			.reduce((totals, session) => ({
+				energy: Math.round((totals.energy + session.energy) * 100) / 100,
+				cost: Math.round((totals.cost + session.cost) * 100) / 100,
+				sessions: totals.sessions + 1,
+			}), { energy: 0, cost: 0, sessions: 0 });
+	}
+
+	getSessions(query) {
+		const from = Number(query && query.from) || 0;
+		const to = Number(query && query.to) || Infinity;
+		return this.sessions.filter((session) => session.plugIn >= from && session.plugIn <= to);
+	}
+
+}
+
+module.exports = ChargeSessions;
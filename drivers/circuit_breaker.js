@@ -0,0 +1,148 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// error classes with the first back-off, the longest back-off and the number of failures in a row that open the circuit
+const classes = {
+	auth: { delay: 5, maxDelay: 240, threshold: 1 },	// a wrong password must not lock the account
+	rate_limit: { delay: 15, maxDelay: 240, threshold: 1 },
+	asleep: { delay: 2, maxDelay: 60, threshold: 3 },
+	network: { delay: 1, maxDelay: 60, threshold: 3 },
+	server: { delay: 2, maxDelay: 120, threshold: 2 },
+	other: { delay: 1, maxDelay: 60, threshold: 3 },
+};
+
+const states = ['closed', 'open', 'half_open'];
+
+// the login and token errors of kuvork and of the app itself. Other errors that mention a login, e.g. a timeout during the login, are no auth errors.
+const authErrors = [
+	'not logged in',
+	'unauthorized',
+	'unauthorised',
+	'invalid password',
+	'invalid pin',
+	'invalid token',
+	'token expired',	// also: refresh token expired
+	'token not set',
+	'no refresh token',
+	'authcode was not found',	// EU login with a wrong username or password
+	'get token failed',
+];
+
+// error > auth, rate_limit, asleep, network, server or other
+// e.g. error.body: { retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests' }, error.message: '503 Service Unavailable'
+const classify = (error) => {
+	const body = (error && error.body) || {};
+	const text = `${(error && error.message) || ''} ${body.resMsg || ''} ${typeof error === 'string' ? error : ''}`.toLowerCase().trim();
+	const code = (error && error.code) || '';
+	if (body.resCode === '5091' || /^429\b/.test(text) || text.includes('exceeds number of requests')) return 'rate_limit';
+	if ((error && error.statusCode === 401) || /^401\b/.test(text) || authErrors.some((message) => text.includes(message))) return 'auth';
+	if (/sleep|not responding|no response from (the )?car|vehicle is off|timeout from the car/.test(text)) return 'asleep';
+	if (/^ECONN|^ETIMEDOUT|^ENOTFOUND|^EAI_AGAIN|^EHOSTUNREACH/.test(code)
+		|| /socket hang up|connection was terminated|network|econnreset|etimedout|enotfound|eai_again/.test(text)) return 'network';
+	if (/^5\d\d\b/.test(text) || (error && error.statusCode >= 500)) return 'server';
+	return 'other';
+};
+
+// CircuitBreaker stops the requests to the server after failures, and backs off exponentially per error class.
+// closed: requests run. open: requests are refused until the back-off has passed.
+// half_open: one trial request is let through; success closes the circuit, failure opens it again with a doubled back-off.
+class CircuitBreaker {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.onChange = options.onChange || (() => null); // (state, errorClass, retryIn)
+		this.reset();
+	}
+
+	static classify(error) {
+		return classify(error);
+	}
+
+	reset() {
+		this.state = 'closed';
+		this.errorClass = null;
+		this.failures = 0; // failures in a row of the same error class
+		this.openUntil = 0;
+		this.trial = false; // the one request of a half open circuit is running
+	}
+
+	// ms until the next request is let through, 0 when the circuit is not open
+	retryIn() {
+		return this.state === 'open' ? Math.max(this.openUntil - Date.now(), 0) : 0;
+	}
+
+	// true when a request may be made. An open circuit goes half open when the back-off has passed.
+	canRequest() {
+		if (this.state === 'open' && Date.now() >= this.openUntil) this.setState('half_open');
+		return this.state === 'closed' || (this.state === 'half_open' && !this.trial);
+	}
+
+	// like canRequest, and takes the trial of a half open circuit: no other request is let through until success or failure
+	tryRequest() {
+		if (!this.canRequest()) return false;
+		if (this.state === 'half_open') this.trial = true;
+		return true;
+	}
+
+	success() {
+		const wasClosed = this.state === 'closed';
+		this.trial = false;
+		this.failures = 0;
+		this.errorClass = null;
+		this.openUntil = 0;
+		if (!wasClosed) this.setState('closed');
+	}
+
+	// records a failed request and returns its error class
+	failure(error) {
+		const errorClass = classify(error);
+		this.trial = false;
+		this.failures = errorClass === this.errorClass ? this.failures + 1 : 1;
+		this.errorClass = errorClass;
+		const { delay, maxDelay, threshold } = classes[errorClass];
+		if (this.state === 'half_open' || this.failures >= threshold) {
+			const opened = Math.max(this.failures - threshold, 0);
+			const minutes = Math.min(delay * (2 ** opened), maxDelay);
+			this.openUntil = Date.now() + minutes * 60 * 1000;
+			this.setState('open');
+		}
+		return errorClass;
+	}
+
+	setState(state) {
+		if (!states.includes(state)) throw Error(`Unknown circuit state: ${state}`);
+		const changed = state !== this.state;
+		this.state = state;
+		if (changed || state === 'open') this.onChange(state, this.errorClass, this.retryIn());
+	}
+
+	inspect() {
+		return {
+			state: this.state,
+			errorClass: this.errorClass,
+			failures: this.failures,
+			retryIn: this.retryIn(),
+		};
+	}
+
+}
+
+module.exports = CircuitBreaker;
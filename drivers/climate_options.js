@@ -0,0 +1,98 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+
+// climate start options as used by the device and the EU start command:
+// {
+// 	temperature: 21,	// °C
+// 	defrost: false,	// front window
+// 	steeringWheel: true,
+// 	rearWindow: true,
+// 	seats: { driver: 'heat_high', passenger: 'off', rear_left: 'off', rear_right: 'off' },	// optional, only for cars with seat climate
+// }
+
+const seats = ['driver', 'passenger', 'rear_left', 'rear_right'];
+
+// seatHeaterVentState / seatHeaterVentInfo codes. 1 (on, level unknown) is only reported by some cars.
+const seatCodes = {
+	off: 0,
+	vent_low: 3,
+	vent_medium: 4,
+	vent_high: 5,
+	heat_low: 6,
+	heat_medium: 7,
+	heat_high: 8,
+};
+const seatLevels = Object.keys(seatCodes);
+
+const seatLevelFromCode = (code) => {
+	if (Number(code) === 1) return 'heat_low';
+	return seatLevels.find((level) => seatCodes[level] === Number(code)) || 'off';
+};
+
+// heating1: 0 = off, 1 = steering wheel and rear window, 2 = rear window, 4 = steering wheel
+const heatingCode = ({ steeringWheel, rearWindow }) => {
+	if (steeringWheel && rearWindow) return 1;
+	if (rearWindow) return 2;
+	if (steeringWheel) return 4;
+	return 0;
+};
+
+const validate = (options) => {
+	convert.getTempCode(Number(options.temperature)); // throws when out of range
+	Object.keys(options.seats || {}).forEach((seat) => {
+		if (!seats.includes(seat)) throw Error(`Unknown seat: ${seat}`);
+		if (!seatLevels.includes(options.seats[seat])) throw Error(`Unknown seat level: ${options.seats[seat]}`);
+	});
+	return true;
+};
+
+// options > body for the EU /control/temperature start command
+const buildStart = (options) => {
+	validate(options);
+	const body = {
+		action: 'start',
+		hvacType: 0,
+		options: {
+			defrost: !!options.defrost,
+			heating1: heatingCode(options),
+		},
+		tempCode: convert.getTempCode(Number(options.temperature)),
+		unit: 'C',
+	};
+	if (options.seats && Object.keys(options.seats).length) {
+		body.seatHeaterVentInfo = {
+			drvSeatHeatState: seatCodes[options.seats.driver || 'off'],
+			astSeatHeatState: seatCodes[options.seats.passenger || 'off'],
+			rlSeatHeatState: seatCodes[options.seats.rear_left || 'off'],
+			rrSeatHeatState: seatCodes[options.seats.rear_right || 'off'],
+		};
+	}
+	return body;
+};
+
+module.exports.seats = seats;
+module.exports.seatLevels = seatLevels;
+module.exports.seatLevelFromCode = seatLevelFromCode;
+module.exports.heatingCode = heatingCode;
+module.exports.validate = validate;
+module.exports.buildStart = buildStart;
@@ -0,0 +1,84 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const climateOptions = require('./climate_options');
+
+// named climate start options, stored per device:
+// { id: 'winter', name: 'Winter morning', temperature: 24, defrost: true, steeringWheel: true, rearWindow: true, seats: { driver: 'heat_high' }, duration: 15 }
+// duration is in minutes. Homey stops climate control when it has passed; the car's own maximum run time still applies.
+
+const maxDuration = 30;
+
+const defaults = () => [
+	{
+		id: 'winter_morning',
+		name: 'Winter morning',
+		temperature: 24,
+		defrost: true,
+		steeringWheel: true,
+		rearWindow: true,
+		duration: 15,
+	},
+	{
+		id: 'summer_cool_down',
+		name: 'Summer cool down',
+		temperature: 18,
+		defrost: false,
+		steeringWheel: false,
+		rearWindow: false,
+		duration: 10,
+	},
+];
+
+const validate = (profile) => {
+	if (!profile || !profile.id || !`${profile.name || ''}`.trim()) throw Error('Climate profile needs an id and a name');
+	if (!Number.isInteger(Number(profile.duration)) || profile.duration < 1 || profile.duration > maxDuration) {
+		throw Error(`Climate profile ${profile.name} needs a duration of 1-${maxDuration} minutes`);
+	}
+	try {
+		climateOptions.validate(profile);
+	} catch (error) {
+		throw Error(`Climate profile ${profile.name}: ${error.message}`);
+	}
+	return true;
+};
+
+const validateAll = (profiles) => {
+	if (!Array.isArray(profiles)) throw Error('Climate profiles must be a list');
+	profiles.forEach(validate);
+	const ids = profiles.map((profile) => profile.id);
+	if (ids.some((id, index) => ids.indexOf(id) !== index)) throw Error('Climate profile ids must be unique');
+	return true;
+};
+
+// profile > climate start options, see climate_options.js
+const toOptions = (profile) => ({
+	temperature: Number(profile.temperature),
+	defrost: !!profile.defrost,
+	steeringWheel: !!profile.steeringWheel,
+	rearWindow: !!profile.rearWindow,
+	seats: profile.seats && Object.keys(profile.seats).length ? { ...profile.seats } : undefined,
+});
+
+module.exports.defaults = defaults;
+module.exports.validate = validate;
+module.exports.validateAll = validateAll;
+module.exports.toOptions = toOptions;
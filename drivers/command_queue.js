@@ -0,0 +1,168 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// seconds to wait after a command before the next one is sent
+const defaultWaits = {
+	doPoll: 5,
+	start: 65,
+	stop: 5,
+	lock: 5,
+	unlock: 5,
+	startCharge: 20,
+	stopCharge: 5,
+	setChargeTargets: 5,
+	setReservations: 5,
+};
+
+// a pending command cancels a newly added opposite command, and both are dropped.
+// Internal commands (origin other than user) never cancel or get cancelled: the user command wins, the internal one is dropped.
+const opposites = {
+	lock: 'unlock',
+	unlock: 'lock',
+	start: 'stop',
+	stop: 'start',
+	startCharge: 'stopCharge',
+	stopCharge: 'startCharge',
+};
+
+const priorities = {
+	user: 0,
+	poll: 1,
+};
+
+const maxRejected = 20;
+
+// CommandQueue holds the pending commands of one car: { id, command, args, origin, priority, added }
+// origin is user, retry for a command that the car did not confirm, or fix for the state fixes of the app itself.
+// User commands go before polls. Identical pending polls are merged, a forced poll (args true) wins.
+class CommandQueue {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.maxSize = options.maxSize || 20;
+		this.waits = { ...defaultWaits, ...options.waits };
+		this.onReject = options.onReject || (() => null); // (item, reason)
+		this.items = [];
+		this.rejected = [];
+		this.running = null;
+		this.lastId = 0;
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	// returns the queued item, or null when it was merged, cancelled or did not fit
+	add({ command, args, origin = 'user' }) {
+		const now = Date.now();
+		if (command === 'doPoll') {
+			const pendingPoll = this.items.find((item) => item.command === 'doPoll');
+			if (pendingPoll) {
+				pendingPoll.args = pendingPoll.args || args;
+				return null;
+			}
+		} else {
+			const opposite = this.items.find((item) => item.command === opposites[command]);
+			if (opposite && origin !== 'user') return null;
+			if (opposite && opposite.origin !== 'user') {
+				this.remove(opposite.id, `replaced by ${command}`);
+			} else if (opposite) {
+				this.remove(opposite.id, `cancelled by ${command}`);
+				this.reject({
+					id: null, command, args, origin, added: now,
+				}, `cancelled ${opposite.command}`);
+				return null;
+			}
+			const same = this.items.find((item) => item.command === command);
+			if (same) {
+				same.args = args; // the newest arguments win
+				if (origin === 'user') same.origin = origin;
+				return null;
+			}
+		}
+		const item = {
+			id: `${(this.lastId += 1)}`,
+			command,
+			args,
+			origin,
+			priority: command === 'doPoll' ? priorities.poll : priorities.user,
+			added: now,
+		};
+		if (this.items.length >= this.maxSize) {
+			const poll = this.items.find((pending) => pending.priority === priorities.poll);
+			if (!poll || item.priority === priorities.poll) {
+				this.reject(item, 'queue is full');
+				return null;
+			}
+			this.remove(poll.id, 'queue is full');
+		}
+		// stable: behind all items of the same or higher priority
+		const index = this.items.findIndex((pending) => pending.priority > item.priority);
+		if (index < 0) this.items.push(item);
+		else this.items.splice(index, 0, item);
+		return item;
+	}
+
+	// takes the next item to run
+	next() {
+		this.running = this.items.shift() || null;
+		return this.running;
+	}
+
+	done() {
+		this.running = null;
+	}
+
+	wait(command) {
+		return this.waits[command] || 5;
+	}
+
+	remove(id, reason) {
+		const item = this.items.find((pending) => pending.id === `${id}`);
+		if (!item) return null;
+		this.items = this.items.filter((pending) => pending !== item);
+		this.reject(item, reason);
+		return item;
+	}
+
+	flush(reason) {
+		const { items } = this;
+		this.items = [];
+		items.forEach((item) => this.reject(item, reason));
+	}
+
+	reject(item, reason) {
+		if (this.rejected.length >= maxRejected) this.rejected.shift();
+		this.rejected.push({ ...item, rejected: Date.now(), reason });
+		this.onReject(item, reason);
+	}
+
+	inspect() {
+		return {
+			running: this.running,
+			pending: this.items,
+			rejected: this.rejected,
+		};
+	}
+
+}
+
+module.exports = CommandQueue;
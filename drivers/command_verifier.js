@@ -0,0 +1,116 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// the state a command should lead to, per subject. A newer command on the same subject replaces the older one.
+const expectations = {
+	lock: { subject: 'doors', check: (car) => car.locked },
+	unlock: { subject: 'doors', check: (car) => !car.locked },
+	start: { subject: 'climate', check: (car) => car.climateOn || car.defrost },
+	stop: { subject: 'climate', check: (car) => !car.climateOn && !car.defrost },
+	startCharge: { subject: 'charging', check: (car) => car.charging },
+	stopCharge: { subject: 'charging', check: (car) => !car.charging },
+};
+
+const describe = {
+	doors: (car) => (car.locked ? 'doors locked' : 'doors unlocked'),
+	climate: (car) => (car.climateOn || car.defrost ? 'climate on' : 'climate off'),
+	charging: (car) => (car.charging ? 'charging' : 'not charging'),
+};
+
+// CommandVerifier compares the car status after a command with the state the command should lead to.
+// verify returns a result per checked command: { command, args, result, reason } with result succeeded, retry or failed.
+class CommandVerifier {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.retries = Number.isInteger(options.retries) ? options.retries : 1;
+		this.timeout = options.timeout || 15 * 60 * 1000; // ms to wait for a car status
+		this.pending = {};
+	}
+
+	static isVerifiable(command) {
+		return !!expectations[command];
+	}
+
+	// call when the server accepted the command
+	expect(command, args, now) {
+		if (!CommandVerifier.isVerifiable(command)) return;
+		const { subject } = expectations[command];
+		const previous = this.pending[subject];
+		const retriesLeft = previous && previous.command === command && previous.retrying ? previous.retriesLeft : this.retries;
+		this.pending[subject] = {
+			command, args, since: now || Date.now(), retriesLeft, retrying: false,
+		};
+	}
+
+	// call when the server rejected the command
+	fail(command, args, reason) {
+		if (CommandVerifier.isVerifiable(command)) delete this.pending[expectations[command].subject];
+		return {
+			command, args, result: 'failed', reason,
+		};
+	}
+
+	// car: VehicleStatus freshly read from the car
+	verify(car, now) {
+		const time = now || Date.now();
+		return Object.keys(this.pending)
+			.filter((subject) => !this.pending[subject].retrying)
+			.map((subject) => {
+				const item = this.pending[subject];
+				const { command, args } = item;
+				if (expectations[command].check(car)) {
+					delete this.pending[subject];
+					return { command, args, result: 'succeeded' };
+				}
+				const reason = `car status shows ${describe[subject](car)}`;
+				if (item.retriesLeft > 0) {
+					this.pending[subject] = {
+						...item, retriesLeft: item.retriesLeft - 1, retrying: true, since: time,
+					};
+					return {
+						command, args, result: 'retry', reason,
+					};
+				}
+				delete this.pending[subject];
+				return {
+					command, args, result: 'failed', reason,
+				};
+			});
+	}
+
+	// commands that waited too long for a car status
+	expire(now) {
+		const time = now || Date.now();
+		return Object.keys(this.pending)
+			.filter((subject) => (time - this.pending[subject].since) > this.timeout)
+			.map((subject) => {
+				const { command, args } = this.pending[subject];
+				delete this.pending[subject];
+				return {
+					command, args, result: 'failed', reason: 'no car status to verify the result',
+				};
+			});
+	}
+
+}
+
+module.exports = CommandVerifier;
@@ -0,0 +1,173 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+
+// model of the two departure timers and the off-peak window from evStatus.reservChargeInfos
+// {
+// 	enabled: true,	// reservFlag: charge for departure
+// 	timers: [
+// 		{ id: 1, enabled: true, days: [1, 2, 3, 4, 5], time: '07:30', climate: { enabled: true, temperature: 21, defrost: false, heating: false } },
+// 		{ id: 2, ... },
+// 	],
+// 	offPeak: { mode: 'off', start: '23:00', end: '07:00' },	// mode: off, priority, only
+// }
+
+const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const noDay = 9;
+const offPeakModes = ['off', 'priority', 'only'];
+
+// { time: '0730', timeSection: 0 } (12h clock, 0 = AM, 1 = PM) > '07:30'
+const fromCarTime = (carTime) => {
+	if (!carTime || !carTime.time) return '00:00';
+	const hours = (Number(carTime.time.substring(0, 2)) % 12) + (carTime.timeSection ? 12 : 0);
+	return `${`${hours}`.padStart(2, '0')}:${carTime.time.substring(2, 4)}`;
+};
+
+// '19:30' > { time: '0730', timeSection: 1 }
+const toCarTime = (time) => {
+	const [hours, minutes] = time.split(':').map(Number);
+	return {
+		time: `${`${hours % 12 || 12}`.padStart(2, '0')}${`${minutes}`.padStart(2, '0')}`,
+		timeSection: hours >= 12 ? 1 : 0,
+	};
+};
+
+const isValidTime = (time) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(`${time}`);
+
+// 'mon,tue,fri' or '1,2,5' > [1, 2, 5]
+const parseDays = (str) => `${str || ''}`
+	.toLowerCase()
+	.split(/[\s,;]+/)
+	.filter((day) => day !== '')
+	.map((day) => {
+		const index = dayNames.indexOf(day.substring(0, 3));
+		const dayNumber = index >= 0 ? index : Number(day);
+		if (!Number.isInteger(dayNumber) || dayNumber < 0 || dayNumber > 6) throw Error(`Unknown day: ${day}`);
+		return dayNumber;
+	})
+	.filter((day, index, days) => days.indexOf(day) === index)
+	.sort();
+
+const formatDays = (days) => days.map((day) => dayNames[day]).join(',');
+
+const parseTimer = (id, info) => {
+	const detail = (info && info.reservChargeInfoDetail) || {};
+	const reservInfo = detail.reservInfo || {};
+	const fatc = detail.reservFatcSet || {};
+	let temperature = null;
+	try {
+		temperature = fatc.airTemp ? convert.getTempFromCode(fatc.airTemp.value) : null;
+	} catch (error) {
+		temperature = null;
+	}
+	return {
+		id,
+		enabled: !!detail.reservChargeSet,
+		days: (reservInfo.day || []).filter((day) => day !== noDay),
+		time: fromCarTime(reservInfo.time),
+		climate: {
+			enabled: !!fatc.airCtrl,
+			temperature,
+			defrost: !!fatc.defrost,
+			heating: !!fatc.heating1,
+		},
+	};
+};
+
+const parse = (reservChargeInfos) => {
+	if (!reservChargeInfos) return null;
+	const offpeak = reservChargeInfos.offpeakPowerInfo || {};
+	const offPeakTime = offpeak.offPeakPowerTime1 || {};
+	return {
+		enabled: !!reservChargeInfos.reservFlag,
+		timers: [
+			parseTimer(1, reservChargeInfos.reservChargeInfo),
+			parseTimer(2, reservChargeInfos.reserveChargeInfo2),
+		],
+		offPeak: {
+			mode: offPeakModes[offpeak.offPeakPowerFlag] || 'off',
+			start: fromCarTime(offPeakTime.starttime),
+			end: fromCarTime(offPeakTime.endtime),
+		},
+	};
+};
+
+const validate = (model) => {
+	if (!model || !Array.isArray(model.timers) || model.timers.length !== 2) throw Error('Two departure timers are required');
+	model.timers.forEach((timer) => {
+		if (!isValidTime(timer.time)) throw Error(`Timer ${timer.id} has an invalid time: ${timer.time}`);
+		if (!Array.isArray(timer.days) || timer.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+			throw Error(`Timer ${timer.id} has invalid days`);
+		}
+		if (timer.enabled && !timer.days.length) throw Error(`Timer ${timer.id} needs at least one day`);
+		if (timer.climate && timer.climate.enabled) convert.getTempCode(Number(timer.climate.temperature)); // throws when out of range
+	});
+	if (!offPeakModes.includes(model.offPeak.mode)) throw Error(`Unknown off-peak mode: ${model.offPeak.mode}`);
+	if (!isValidTime(model.offPeak.start) || !isValidTime(model.offPeak.end)) throw Error('Invalid off-peak window');
+	return true;
+};
+
+const buildTimer = (timer) => {
+	const climate = timer.climate || {};
+	return {
+		reservChargeInfoDetail: {
+			reservInfo: {
+				day: timer.days.length ? timer.days : [noDay],
+				time: toCarTime(timer.time),
+			},
+			reservChargeSet: !!timer.enabled,
+			reservFatcSet: {
+				defrost: !!climate.defrost,
+				airTemp: {
+					value: climate.enabled ? convert.getTempCode(Number(climate.temperature)) : '00H',
+					unit: 0,
+				},
+				airCtrl: climate.enabled ? 1 : 0,
+				heating1: climate.heating ? 1 : 0,
+			},
+		},
+	};
+};
+
+// model > body for the reservation command
+const build = (model) => {
+	validate(model);
+	return {
+		reservChargeInfo: buildTimer(model.timers[0]),
+		reserveChargeInfo2: buildTimer(model.timers[1]),
+		offpeakPowerInfo: {
+			offPeakPowerTime1: {
+				starttime: toCarTime(model.offPeak.start),
+				endtime: toCarTime(model.offPeak.end),
+			},
+			offPeakPowerFlag: offPeakModes.indexOf(model.offPeak.mode),
+		},
+		reservFlag: model.enabled ? 1 : 0,
+	};
+};
+
+module.exports.parse = parse;
+module.exports.build = build;
+module.exports.validate = validate;
+module.exports.parseDays = parseDays;
+module.exports.formatDays = formatDays;
+module.exports.isValidTime = isValidTime;
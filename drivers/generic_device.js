@@ -21,25 +21,58 @@ along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
 
 const Homey = require('homey');
 // const Bluelink = require('bluelinky');
-const Uvo = require('kuvork');
 const GeoPoint = require('geopoint');
 const util = require('util');
 const ABRP = require('../abrp_telemetry');
+const EuVehicle = require('../eu_vehicle');
+const RequestBudget = require('../request_budget');
 const Bitly = require('../bitly');
 const Maps = require('../google_maps.js');
 const geo = require('../reverseGeo');
-const convert = require('./temp_convert');
+const geofence = require('../geofence');
+const TripLog = require('./trip_log');
+const ChargeSessions = require('./charge_sessions');
+const departureTimers = require('./departure_timers');
+const regionStatus = require('./region_status');
+const VehicleStatus = require('./vehicle_status');
+const ChargePlanner = require('./charge_planner');
+const BatteryMonitor = require('./battery_monitor');
+const climateOptions = require('./climate_options');
+const climateProfiles = require('./climate_profiles');
+const preconditioning = require('./preconditioning');
+const CommandVerifier = require('./command_verifier');
+const CommandQueue = require('./command_queue');
+const CircuitBreaker = require('./circuit_breaker');
+const SessionRecorder = require('./session_recorder');
 
 const setTimeoutPromise = util.promisify(setTimeout);
 
-const isClosedLocked = (status) => {
-	const {
-		doorLock,
-		trunkOpen,
-		hoodOpen,
-		doorOpen,
-	} = status;
-	return doorLock && !trunkOpen && !hoodOpen && Object.keys(doorOpen).reduce((closedAccu, door) => closedAccu || !doorOpen[door], true);
+// alarm_contact sub capabilities, and the name used in the door_opened token
+const contacts = {
+	front_left: 'front left door',
+	front_right: 'front right door',
+	back_left: 'back left door',
+	back_right: 'back right door',
+	trunk: 'trunk',
+	hood: 'hood',
+	windows: 'window',
+};
+
+// alarm_tire_pressure sub capabilities, and the name used in the tire_pressure_warning token
+const wheels = {
+	front_left: 'front left',
+	front_right: 'front right',
+	rear_left: 'rear left',
+	rear_right: 'rear right',
+};
+const maxTireWarnings = 100;
+
+// seat_climate sub capabilities, only added for cars that report their seat climate
+const seatTitles = {
+	driver: 'Driver seat',
+	passenger: 'Passenger seat',
+	rear_left: 'Rear left seat',
+	rear_right: 'Rear right seat',
 };
 
 // const stringToDate = (str) => {
@@ -63,25 +96,49 @@ class CarDevice extends Homey.Device {
 			this.settings = await this.getSettings();
 			this.vehicle = null;
 			this.busy = false;
-			this.watchDogCounter = 6;
+			this.skippedPolls = 0;
 			this.restarting = false;
 			this.pollMode = 0; // 0: normal, 1: engineOn with refresh
 			this.lastMoved = 0;
-			this.history = [];
+			this.unlockedSince = null;
+			this.unlockedMinutes = 0;
+			this.tripLog = new TripLog({ trips: this.getStoreValue('trips'), openTrip: this.getStoreValue('openTrip') });
+			this.chargeSessions = new ChargeSessions({
+				sessions: this.getStoreValue('chargeSessions'),
+				openSession: this.getStoreValue('openChargeSession'),
+				lastState: this.getStoreValue('lastChargeState'),
+				capacity: this.settings.batteryCapacity,
+				tariff: this.settings.chargeTariff,
+			});
 			this.lastOdometer = this.getCapabilityValue('odometer');
 			this.lastLocation = { latitude: this.getCapabilityValue('latitude'), longitude: this.getCapabilityValue('longitude') };
 			this.parkLocation = this.getStoreValue('parkLocation');
 			if (!this.parkLocation) this.parkLocation = this.lastLocation;
+			this.parkAddress = this.getStoreValue('parkAddress');
+			this.currentZones = this.getStoreValue('currentZones') || [];
+			this.tireWarnings = this.getStoreValue('tireWarnings') || [];
+			this.climateProfiles = this.getStoreValue('climateProfiles') || climateProfiles.defaults();
+			this.precondition = this.getStoreValue('precondition');
+			this.commandVerifier = new CommandVerifier();
+			// kept over restarts, so a restart does not reset the back-off
+			if (!this.circuitBreaker) {
+				const onChange = (state, errorClass, retryIn) => this.circuitChanged(state, errorClass, retryIn);
+				this.circuitBreaker = new CircuitBreaker({ onChange });
+			}
+			this.batteryMonitor = new BatteryMonitor({ samples: this.getStoreValue('batterySamples') });
+			this.chargePlanner = new ChargePlanner(this.getStoreValue('chargePlanner'));
+			this.plannedCharging = undefined;
+			await this.migrateCapabilities();
+			this.setCapability('circuit_state', this.circuitBreaker.state);
 			// this.gmapsHistory = [];
 			// this.unsetWarning();
 
 			// queue properties
-			this.queue = [];
-			this.head = 0;
-			this.tail = 0;
+			if (this.commandQueue) this.commandQueue.flush('device restarted');
+			this.commandQueue = new CommandQueue({ onReject: (item, reason) => this.queueRejected(item, reason) });
 			this.queueRunning = false;
 
-			// setup UVO/Bluelink client
+			// setup UVO/Bluelink client, shared with the other cars of the same account
 			const options = {
 				username: this.settings.username,
 				password: this.settings.password,
@@ -89,29 +146,18 @@ class CarDevice extends Homey.Device {
 				pin: this.settings.pin,
 				// vin: this.settings.vin,
 				brand: this.ds.deviceId === 'bluelink' ? 'H' : 'K',
-				deviceUuid: Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15), // 'homey',
-				autoLogin: false,
 			};
-			// if (this.ds.deviceId === 'bluelink') {
-			// 	this.client = new Bluelink(options);
-			// } else this.client = new Uvo(options);
-
-			this.client = new Uvo(options);
-
-			this.client.on('error', async (error) => {
+			this.budgetKey = RequestBudget.accountKey(options);
+			try {
+				const tokens = this.getStoreValue('session');
+				this.setVehicle(await this.homey.app.sessions.getVehicle(options, this.settings.vin, this.getData().id, tokens));
+				this.saveSession();
+			} catch (error) {
 				this.error(error);
+				this.circuitBreaker.failure(error);
 				await setTimeoutPromise(15 * 1000, 'waiting is done');
-				this.watchDogCounter -= 1;
-				if (!this.vehicle) this.restartDevice();
-			});
-
-			this.client.on('ready', (vehicles) => {
-				// console.log(util.inspect(vehicles, true, 10, true));
-				[this.vehicle] = vehicles.filter((veh) => veh.vehicleConfig.vin === this.settings.vin);
-			});
-			// wait for client login
-			// await setTimeoutPromise(15 * 1000, 'waiting is done');
-			await this.client.login();
+				if (!this.vehicle) this.restartDevice(Math.max(this.circuitBreaker.retryIn(), 60 * 1000));
+			}
 			if (this.vehicle) this.log(JSON.stringify(this.vehicle.vehicleConfig));
 
 			// setup ABRP client
@@ -157,116 +203,183 @@ class CarDevice extends Homey.Device {
 			await setTimeoutPromise(15 * 1000, 'waiting is done');
 			this.enQueue({ command: 'doPoll', args: true });
 			this.startPolling(this.settings.pollInterval);
+			this.startChargePlanner();
+			this.schedulePrecondition();
 
 		} catch (error) {
 			this.error(error);
 		}
 	}
 
+	// add capabilities that were introduced after the car was paired
+	async migrateCapabilities() {
+		const missing = this.driver.ds.deviceCapabilities.filter((capability) => !this.hasCapability(capability));
+		await missing.reduce((chain, capability) => chain.then(() => {
+			this.log(`adding capability ${capability}`);
+			return this.addCapability(capability);
+		}), Promise.resolve());
+	}
+
 	// stuff for queue handling here
 	async enQueue(item) {
 		if (this.disabled) {
 			this.log('ignoring command; Homey live link is disabled.');
 			return;
 		}
-		if (this.tail >= 10) {
-			this.error('queue overflow');
-			return;
-		}
-		this.queue[this.tail] = item;
-		this.tail += 1;
-		if (!this.queueRunning) {
-			await this.client.login();
-			this.queueRunning = true;
-			this.runQueue();
+		this.commandQueue.add(item);
+		await this.startQueue();
+	}
+
+	// also when the item was merged: a queue that paused without login still holds items
+	async startQueue() {
+		if (this.queueRunning || !this.commandQueue.size) return;
+		this.queueRunning = true;
+		await this.refreshSession();
+		this.runQueue();
+	}
+
+	setVehicle(vehicle) {
+		if (vehicle === this.vehicle) return;
+		this.vehicle = vehicle;
+		this.euVehicle = this.vehicle && this.vehicle.region === 'EU' ? new EuVehicle({ vehicle: this.vehicle }) : null;
+	}
+
+	// keep the device id and tokens, so a restart reuses them instead of a new login
+	saveSession() {
+		const tokens = this.homey.app.sessions.getTokens(this.budgetKey);
+		if (!tokens || JSON.stringify(tokens) === JSON.stringify(this.getStoreValue('session'))) return;
+		this.setStoreValue('session', tokens).catch(this.error);
+	}
+
+	// refreshes the tokens of the shared session when they expired. A new login replaces the vehicles of the account.
+	async refreshSession() {
+		if (!this.circuitBreaker.canRequest()) return;
+		try {
+			const vehicles = await this.homey.app.sessions.login(this.budgetKey);
+			this.setVehicle(vehicles.find((vehicle) => vehicle.vehicleConfig.vin === this.settings.vin));
+			this.saveSession();
+		} catch (error) {
+			this.error(error.message || error);
+			this.circuitBreaker.failure(error);
 		}
 	}
 
 	deQueue() {
-		const size = this.tail - this.head;
-		if (size <= 0) return undefined;
-		const item = this.queue[this.head];
-		delete this.queue[this.head];
-		this.head += 1;
-		// Reset the counter
-		if (this.head === this.tail) {
-			this.head = 0;
-			this.tail = 0;
-		}
-		return item;
+		return this.commandQueue.next();
 	}
 
 	flushQueue() {
-		this.queue = [];
-		this.head = 0;
-		this.tail = 0;
+		this.commandQueue.flush('queue flushed');
 		this.queueRunning = false;
 		this.log('Queue is flushed');
 	}
 
+	getQueue() {
+		return this.commandQueue.inspect();
+	}
+
+	rejectQueueItem(itemId, reason, source) {
+		const item = this.commandQueue.remove(itemId, reason || `rejected via ${source}`);
+		if (!item) return Promise.reject(Error(`No pending command with id ${itemId}`));
+		this.log(`${item.command} rejected via ${source}`);
+		return Promise.resolve(this.getQueue());
+	}
+
+	// items without an id were never queued, e.g. a command that cancelled its opposite. State fixes are not reported.
+	queueRejected(item, reason) {
+		this.log(`${item.command} removed from queue: ${reason}`);
+		if (!item.id || item.origin === 'fix' || !CommandVerifier.isVerifiable(item.command)) return;
+		if (item.origin === 'retry') {
+			this.commandResult(this.commandVerifier.fail(item.command, item.args, reason)); // the verifier waits for the retry
+			return;
+		}
+		this.commandResult({
+			command: item.command, args: item.args, result: 'failed', reason,
+		});
+	}
+
 	async runQueue() {
 		try {
 			this.busy = true;
 			this.queueRunning = true;
 			const item = this.deQueue();
 			if (item) {
+				this.lastCommand = item.command;
+				if (!this.circuitBreaker.canRequest()) {
+					this.commandQueue.done();
+					const retryIn = Math.ceil(this.circuitBreaker.retryIn() / 60 / 1000);
+					if (item.command === 'doPoll') this.log(`poll skipped; server requests are paused for ${retryIn} minutes`);
+					else this.commandQueue.reject(item, `server requests are paused for ${retryIn} minutes (${this.circuitBreaker.errorClass})`);
+					this.runQueue();
+					return;
+				}
 				if (!this.vehicle || !this.vehicle.vehicleConfig) {
-					this.watchDogCounter -= 1;
-					throw Error('pausing queue; not logged in');
+					this.circuitBreaker.failure(Error('not logged in'));
+					this.commandQueue.done();
+					this.commandQueue.reject(item, 'not logged in');
+					throw Error('pausing queue until the next login; not logged in');
 				}
-				const itemWait = {
-					doPoll: 5,
-					start: 65,
-					stop: 5,
-					lock: 5,
-					unlock: 5,
-					startCharge: 20,
-					stopCharge: 5,
-				};
-				this.lastCommand = item.command;
+				const budget = this.homey.app.requestBudget.check(this.budgetKey, item);
+				if (budget !== 'run') {
+					this.commandQueue.done();
+					if (budget === 'defer') this.log('poll deferred; request budget is low');
+					else this.commandQueue.reject(item, budget);
+					this.runQueue();
+					return;
+				}
+				if (item.command !== 'doPoll') this.useBudget('server');
+				if (item.command !== 'doPoll') this.circuitBreaker.tryRequest(); // a poll takes the trial in vehicleRequest
 				let methodClass = this.vehicle;
 				if (item.command === 'doPoll') {
 					methodClass = this;
+				} else if (this.euVehicle && typeof this.euVehicle[item.command] === 'function') {
+					methodClass = this.euVehicle;	// EU commands that kuvork does not offer
 				}
 				await methodClass[item.command](item.args)
-					.then(() => {
-						this.watchDogCounter = 6;
+					.then((response) => {
+						if (this.recorder && item.command !== 'doPoll') this.recorder.record(item.command, item.args, response);
+						this.circuitBreaker.success();
 						this.setAvailable();
+						if (item.origin !== 'fix') this.commandVerifier.expect(item.command, item.args);
 					})
 					.catch(async (error) => {
+						if (this.recorder && item.command !== 'doPoll') this.recorder.recordError(item.command, item.args, error);
 						const msg = error.body || error.message || error;
 						// retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests
 						if (msg && msg.resCode === '5091') {
-							this.log(`${item.command} failed. Too many requests! Pausing app for 15 minutes.`);
-							this.setUnavailable('Too many server requests!. Waiting 15 minutes.');
-							await setTimeoutPromise(15 * 60 * 1000, 'waiting is done');
-							this.setAvailable();
+							this.circuitBreaker.failure(error);
+							const minutes = Math.ceil(this.circuitBreaker.retryIn() / 60 / 1000);
+							this.log(`${item.command} failed. Too many requests! Pausing all cars of the account for ${minutes} minutes.`);
+							this.homey.app.requestBudget.block(this.budgetKey, minutes);
 						}
 						// retry once on retCode: 'F', resCode: '4004', resMsg: 'Duplicate request - Duplicate request'
 						let retryWorked = false;
 						if (msg && msg.resCode === '4004') {
 							this.log(`${item.command} failed. Retrying in 30 seconds`);
 							await setTimeoutPromise(30 * 1000, 'waiting is done');
+							if (item.command !== 'doPoll') this.useBudget('server'); // the retry is a request of its own
 							retryWorked = await methodClass[item.command](item.args)
 								.then(() => {
-									this.watchDogCounter = 6;
+									this.circuitBreaker.success();
 									this.setAvailable();
+									if (item.origin !== 'fix') this.commandVerifier.expect(item.command, item.args);
 									return true;
 								})
 								.catch(() => false);
 						}
+						const paused = !!error && error.code === 'CIRCUIT_OPEN';
+						if (!retryWorked && !paused && !(msg && msg.resCode === '5091')) this.circuitBreaker.failure(error);
 						if (!retryWorked) {
 							this.error(`${item.command} failed`, msg);
-							this.watchDogCounter -= 1;
-							if (this.watchDogCounter <= 0) {
-								// restart the app here
-								this.log('watchdog triggered, restarting device now');
-								this.restartDevice();
+							if (item.origin !== 'fix' && CommandVerifier.isVerifiable(item.command)) {
+								const reason = (msg && (msg.resMsg || msg.message)) || `${msg}`;
+								this.commandResult(this.commandVerifier.fail(item.command, item.args, reason));
 							}
 						}
 						this.busy = false;
 					});
-				await setTimeoutPromise((itemWait[item.command] || 5) * 1000, 'waiting is done');
+				await setTimeoutPromise(this.commandQueue.wait(item.command) * 1000, 'waiting is done');
+				this.commandQueue.done();
 				this.runQueue();
 			} else {
 				// console.log('Finshed queue');
@@ -285,6 +398,11 @@ class CarDevice extends Homey.Device {
 		}
 	}
 
+	// count requests against the daily budget of the account. kind: server or refresh
+	useBudget(kind, count) {
+		this.homey.app.recordRequests(this.budgetKey, kind, count);
+	}
+
 	// poll server and/or car for status
 	async doPoll(forceOnce) {
 		// console.log(forceOnce);
@@ -295,19 +413,23 @@ class CarDevice extends Homey.Device {
 			let odometer = this.lastOdometer;
 
 			const batSoc = this.getCapabilityValue('measure_battery.12V');
-			const forcePollInterval = this.settings.pollIntervalForced
-				&& (this.settings.pollIntervalForced * 60 * 1000) < (Date.now() - this.lastRefresh)
-				&& (Date.now() - this.lastRefresh) > 1000 * 60 * 24 * (this.settings.pollIntervalForced / 5) * ((batSoc || 50) / 100);
+			const forcedInterval = this.forcedPollInterval();
+			const forcePollInterval = forcedInterval
+				&& (forcedInterval * 60 * 1000) < (Date.now() - this.lastRefresh)
+				&& (Date.now() - this.lastRefresh) > 1000 * 60 * 24 * (forcedInterval / 5) * ((batSoc || 50) / 100);
 				// max. 24hrs forced poll @5 min & 100% charge
-			const batSoCGood = status && status.battery ? (status.battery.batSoc > this.settings.batteryAlarmLevel) : true;
-			const refresh = this.pollMode	// 1 = engineOn with refresh
-				|| (batSoCGood && (forceOnce || forcePollInterval)); // || !status || !location || !odometer));
+			const batSoCGood = this.carStatus && this.carStatus.battery12V !== null
+				? (this.carStatus.battery12V > this.settings.batteryAlarmLevel) : true;
+			const refresh = (this.pollMode	// 1 = engineOn with refresh
+				|| (batSoCGood && (forceOnce || forcePollInterval))) // || !status || !location || !odometer));
+				&& this.homey.app.requestBudget.canRefresh(this.budgetKey, !!forceOnce);
 
-			const advanced = typeof this.vehicle.fullStatus === 'function'; // works for EU vehicles only
+			const { region } = this.vehicle;
+			const advanced = regionStatus.features(region).fullStatus; // works for EU vehicles only
 
 			if (!refresh) { // get info from server
 				if (advanced) { // get status, location, odo meter from server
-					const fullStatus = await this.vehicle.fullStatus({
+					const fullStatus = await this.vehicleRequest('fullStatus', {
 						refresh: false,
 						parsed: false,
 					});
@@ -332,18 +454,18 @@ class CarDevice extends Homey.Device {
 					odometer = fullStatus.odometer || odometer;
 					this.lastOdometer = odometer;
 				} else { // get status from server
-					status = await this.vehicle.status({
+					status = regionStatus.normalizeStatus(region, await this.vehicleRequest('status', {
 						refresh: false,
 						parsed: false,
-					});
+					}));
 					// check if server state changed
-					if (status.time !== this.lastStatus.time) {
+					if (!this.lastStatus || status.time !== this.lastStatus.time) {
 						this.log('Server info changed.');
 						// get location from car
-						location = await this.vehicle.location();
+						location = regionStatus.normalizeLocation(region, await this.vehicleRequest('location'));
 						this.lastLocation = location;
 						// get odo meter from car
-						odometer = await this.vehicle.odometer();
+						odometer = await this.vehicleRequest('odometer');
 						this.lastOdometer = odometer;
 						this.lastRefresh = Date.now();
 					}
@@ -354,7 +476,7 @@ class CarDevice extends Homey.Device {
 			if (refresh) { // get status, location, odo meter from car
 				this.log('Status refresh from car');
 				if (advanced) {
-					const fullStatus = await this.vehicle.fullStatus({
+					const fullStatus = await this.vehicleRequest('fullStatus', {
 						refresh: true,
 						parsed: false,
 					});
@@ -368,52 +490,69 @@ class CarDevice extends Homey.Device {
 							speed: fullStatus.vehicleLocation.speed,
 							heading: fullStatus.vehicleLocation.head,
 						};
-					} else location = await this.vehicle.location();
+					} else location = regionStatus.normalizeLocation(region, await this.vehicleRequest('location'));
 					this.lastLocation = location;
-					odometer = fullStatus.odometer ? fullStatus.odometer : await this.vehicle.odometer();
+					odometer = fullStatus.odometer ? fullStatus.odometer : await this.vehicleRequest('odometer');
 					this.lastOdometer = odometer;
 				} else {
 					// get status from car
-					status = await this.vehicle.status({
+					status = regionStatus.normalizeStatus(region, await this.vehicleRequest('status', {
 						refresh: true,
 						parsed: false,
-					});
+					}));
 					this.lastStatus = status;
 					// get location from car
-					location = await this.vehicle.location();
+					location = regionStatus.normalizeLocation(region, await this.vehicleRequest('location'));
 					this.lastLocation = location;
 					// get odo meter from car
-					odometer = await this.vehicle.odometer();
+					odometer = await this.vehicleRequest('odometer');
 					this.lastOdometer = odometer;
 				}
 
 				this.lastRefresh = Date.now();
 			}
 
+			if (this.recorder) {
+				this.recorder.record('poll', { refresh }, {
+					status, location, odometer, region,
+				});
+			}
+
+			// parse the raw info once, in metric units
+			const car = new VehicleStatus({
+				status, location, odometer, region,
+			});
+
 			// log data on app init
 			if (firstPoll) {
 				this.log(JSON.stringify(status)); // util.inspect(status, true, 10, true));
 				this.log(JSON.stringify(location)); // util.inspect(location, true, 10, true));
 				this.log(JSON.stringify(odometer)); // util.inspect(odometer, true, 10, true));
+				if (car.missing.length) this.log(`Not reported by the car: ${car.missing.join(', ')}`);
 			}
 
-			// fix charger state after refresh
-			if (refresh && status && status.evStatus && status.evStatus.batteryPlugin && !status.evStatus.batteryCharge) {
-				this.chargingOnOff(false, 'state fix');
+			// check the result of recent commands against the status from the car, before the state fix queues a command
+			if (refresh) this.commandVerifier.verify(car).forEach((result) => this.commandResult(result));
+			this.commandVerifier.expire().forEach((result) => this.commandResult(result));
+
+			// fix charger state after refresh. Internal: not verified, and no user command cancels it
+			if (refresh && car.plugged && !car.charging) {
+				this.log('charging off via state fix');
+				this.enQueue({ command: 'stopCharge', origin: 'fix' });
 				this.fixStateTime = Date.now();
 			}
 
 			// update ABRP
-			if (refresh) this.abrpTelemetry({ status, location, odometer });
+			if (refresh) this.abrpTelemetry(car);
 
 			// update capabilities and flows
-			this.handleInfo({ status, location, odometer });
+			this.handleInfo(car);
 
 			// check if car is active
-			const justUnplugged = status && status.evStatus && !status.evStatus.batteryPlugin && this.getCapabilityValue('charger') !== '0';
-			const justUnlocked = status && !isClosedLocked(status) && this.getCapabilityValue('closed_locked');
-			const climateOn = status && (status.airCtrlOn || status.defrost);
-			const engineOn = status && status.engine;
+			const justUnplugged = car.isEV && !car.plugged && this.getCapabilityValue('charger') !== '0';
+			const justUnlocked = !car.closedLocked && this.getCapabilityValue('closed_locked');
+			const climateOn = car.climateOn || car.defrost;
+			const engineOn = car.engine;
 			const carActive = engineOn || climateOn || justUnplugged || justUnlocked;
 			if (carActive) this.carLastActive = Date.now();
 			const carJustActive = ((Date.now() - this.carLastActive) < 3 * 60 * 1000); // human activity or cloud refresh triggered recently
@@ -433,6 +572,37 @@ class CarDevice extends Homey.Device {
 		}
 	}
 
+	// calls the kuvork vehicle, and keeps the raw response when the session is recorded.
+	// Only a request that is sent counts against the request budget.
+	// A half open circuit lets only the first request of a poll through; the others follow when it succeeded.
+	async vehicleRequest(call, args) {
+		try {
+			if (!this.circuitBreaker.tryRequest()) {
+				const error = Error(`${call} skipped; server requests are paused`);
+				error.code = 'CIRCUIT_OPEN';
+				throw error;
+			}
+			if (call !== 'odometer') this.useBudget(args && args.refresh ? 'refresh' : 'server');
+			const response = call === 'odometer' ? await this.getOdometer() : await this.vehicle[call](args);
+			this.circuitBreaker.success();
+			if (this.recorder) this.recorder.record(call, args, response);
+			return Promise.resolve(response);
+		} catch (error) {
+			if (this.recorder) this.recorder.recordError(call, args, error);
+			return Promise.reject(error);
+		}
+	}
+
+	// CA vehicles have no odometer call, so keep the last known value
+	async getOdometer() {
+		if (regionStatus.features(this.vehicle.region).odometer) {
+			this.useBudget('server');
+			return this.vehicle.odometer();
+		}
+		if (this.lastOdometer && this.lastOdometer.value !== undefined) return this.lastOdometer;
+		return { value: this.getCapabilityValue('odometer') || 0, unit: 1 };
+	}
+
 	startPolling(interval) {
 		const mode = this.pollMode ? 'car' : 'server';
 		this.log(`Start polling ${mode} ${this.getName()} @ ${interval} minute interval`);
@@ -441,16 +611,17 @@ class CarDevice extends Homey.Device {
 		// this.enQueue({ command: 'doPoll', args: true });
 		this.intervalIdDevicePoll = setInterval(() => {
 			if (this.busy) {
-				this.watchDogCounter -= 1;
-				if (this.watchDogCounter <= 0) {
-					// restart the app here
-					this.log('watchdog triggered, restarting device now');
-					this.restartDevice();
-					return;
-				}
+				this.skippedPolls += 1;
 				this.log('skipping a poll');
+				// a command that never returns would block the queue forever
+				if (this.skippedPolls >= 6) {
+					this.log('queue is stuck, flushing it');
+					this.flushQueue();
+					this.busy = false;
+				}
 				return;
 			}
+			this.skippedPolls = 0;
 			this.enQueue({ command: 'doPoll', args: false });
 		}, 1000 * 60 * interval);
 	}
@@ -459,11 +630,21 @@ class CarDevice extends Homey.Device {
 		clearInterval(this.intervalIdDevicePoll);
 	}
 
+	startChargePlanner() {
+		this.stopChargePlanner();
+		this.intervalIdChargePlanner = setInterval(() => this.runChargePlan(), 1000 * 60);
+	}
+
+	stopChargePlanner() {
+		clearInterval(this.intervalIdChargePlanner);
+	}
+
 	async restartDevice(delay) {
 		// this.destroyListeners();
 		if (this.restarting) return;
 		this.restarting = true;
 		this.stopPolling();
+		this.stopChargePlanner();
 		this.flushQueue();
 		this.log('Device will restart in a few minutes');
 		this.setUnavailable('Device is restarting. Wait a few minutes!');
@@ -478,6 +659,11 @@ class CarDevice extends Homey.Device {
 	// this method is called when the Device is deleted
 	onDeleted() {
 		this.stopPolling();
+		this.stopChargePlanner();
+		clearTimeout(this.climateStopTimer);
+		clearTimeout(this.preconditionTimer);
+		this.stopRelock();
+		this.homey.app.sessions.release(this.budgetKey, this.getData().id);
 		// this.destroyListeners();
 		this.log(`Car deleted as device: ${this.getName()}`);
 	}
@@ -489,6 +675,7 @@ class CarDevice extends Homey.Device {
 	// this method is called when the user has changed the device's settings in Homey.
 	async onSettings() { // { newSettings }) {
 		this.log(`${this.getName()} device settings changed by user`);
+		if (this.circuitBreaker) this.circuitBreaker.reset();	// e.g. a corrected password
 		this.restartDevice(250);
 		// do callback to confirm settings change
 		return Promise.resolve(true); // string can be returned to user
@@ -506,62 +693,84 @@ class CarDevice extends Homey.Device {
 		}
 	}
 
-	async handleInfo(info) {
+	// car: VehicleStatus
+	async handleInfo(car) {
 		try {
-			const { speed } = info.location;
-			const { odometer } = info;
-			const {
-				engine,
-				doorLock: locked,
-				airCtrlOn,
-				defrost,
-			} = info.status;
-			const targetTemperature = convert.getTempFromCode(info.status.airTemp.value);
-			const alarmTirePressure = !!info.status.tirePressureLamp.tirePressureLampAll;
-			const batteryCharge = info.status.battery ? info.status.battery.batSoc : undefined;
-
-			// set defaults for non-EV vehicles
-			const charging = info.status.evStatus ? info.status.evStatus.batteryCharge : false;
-			let charger = info.status.evStatus ? info.status.evStatus.batteryPlugin : 0; // 0=none 1=fast 2=slow/normal
-			if (charger && !charging) charger += 2;	// 3= fast off, 4 = slow off
-			const EVBatteryCharge = info.status.evStatus ? info.status.evStatus.batteryStatus : 0;
-			const range = info.status.evStatus ? info.status.evStatus.drvDistance[0].rangeByFuel.totalAvailableRange.value : info.status.dte.value;
+			this.carStatus = car;
+			let charger = car.plugged; // 0=none 1=fast 2=slow/normal
+			if (charger && !car.charging) charger += 2;	// 3= fast off, 4 = slow off
+			if (car.reservChargeInfos) this.departureTimers = departureTimers.parse(car.reservChargeInfos);
+
+			// a new car has no park location yet: it is parked where it is first seen
+			if (this.parkLocation.latitude === null && car.hasLocation()) {
+				this.parkLocation = car.location;
+				this.setStoreValue('parkLocation', this.parkLocation).catch(this.error);
+			}
+
+			// previous park state, used as start of a new trip
+			const lastPark = {
+				latitude: this.parkLocation.latitude,
+				longitude: this.parkLocation.longitude,
+				address: this.parkAddress,
+				odometer: this.getCapabilityValue('odometer'),
+				soc: car.isEV ? this.getCapabilityValue('measure_battery.EV') : null,
+			};
 
 			// calculated properties
-			const carLocString = geo.getCarLocString(info.location); // reverse ReverseGeocoding ASYNC!!!
-			const etth = this.etth(info);	// ASYNC in future!!!
-			const distance = Math.round(this.distance(info.location) * 10) / 10;
-			const moving = this.isMoving(info.location);
-			const hasParked = this.isParking(info);
-			const closedLocked = isClosedLocked(info.status);
-			const alarmEVBattery = EVBatteryCharge < this.settings.EVbatteryAlarmLevel;
-			const alarmBattery = batteryCharge < this.settings.batteryAlarmLevel;
+			const carLocString = this.getCarLocString(car.location); // reverse ReverseGeocoding ASYNC!!!
+			const etth = this.etth(car);	// ASYNC in future!!!
+			const distance = Math.round(this.distance(car.location) * 10) / 10;
+			const moving = this.isMoving(car.location);
+			const hasParked = this.isParking(car);
+			const alarmEVBattery = car.isEV && car.soc < this.settings.EVbatteryAlarmLevel;
+			const alarmBattery = car.battery12V !== null && car.battery12V < this.settings.batteryAlarmLevel;
 
 			// update capabilities
-			this.setCapability('measure_battery.EV', EVBatteryCharge);
-			this.setCapability('measure_battery.12V', batteryCharge || 0);
+			this.setCapability('measure_battery.EV', car.soc || 0);
+			this.setCapability('measure_battery.12V', car.battery12V || 0);
 			this.setCapability('alarm_battery', alarmBattery || alarmEVBattery);
-			this.setCapability('alarm_tire_pressure', alarmTirePressure);
-			this.setCapability('locked', locked);
-			this.setCapability('closed_locked', closedLocked);
-			this.setCapability('target_temperature', targetTemperature);
-			this.setCapability('defrost', defrost);
-			this.setCapability('climate_control', airCtrlOn);
-			this.setCapability('engine', engine);
-			this.setCapability('charging', charging);
+			this.setCapability('alarm_tire_pressure', car.tirePressureAlarm);
+			this.setCapability('locked', car.locked);
+			this.setCapability('closed_locked', car.closedLocked);
+			this.setCapability('target_temperature', car.targetTemperature);
+			this.setCapability('defrost', car.defrost);
+			this.setCapability('climate_control', car.climateOn);
+			this.setCapability('steering_wheel_heat', car.steeringWheelHeat);
+			this.setCapability('rear_window_heat', car.rearWindowHeat);
+			this.setCapability('engine', car.engine);
+			this.setCapability('charging', car.charging);
 			this.setCapability('charger', charger.toString());
-			this.setCapability('odometer', odometer.value);
-			this.setCapability('range', range);
-			this.setCapability('speed', speed.value);
-			this.setCapability('latitude', info.location.latitude);
-			this.setCapability('longitude', info.location.longitude);
+			if (car.chargeLimitAC !== null) this.setCapability('charge_limit_ac', car.chargeLimitAC);
+			if (car.chargeLimitDC !== null) this.setCapability('charge_limit_dc', car.chargeLimitDC);
+			if (car.odometer !== null) this.setCapability('odometer', car.odometer);
+			if (car.range !== null) this.setCapability('range', car.range);
+			this.setCapability('speed', car.location.speed);
+			this.setCapability('latitude', car.location.latitude);
+			this.setCapability('longitude', car.location.longitude);
 			this.setCapability('distance', distance);
+			this.setCapability('request_budget', this.homey.app.requestBudget.remaining(this.budgetKey).server);
+			this.updateZones(car.location);
+			this.updateContacts(car);
+			this.updateRelock(car);
+			this.updateTireWarnings(car);
+			this.updateSeats(car);
+			this.updateBatteryHealth(car);
+			this.updateUnlocked(car);
 
 			// update async capabilities
 			const { local, address } = await Promise.resolve(carLocString);
 			this.setCapability('location', local);
 			this.setCapability('etth', await Promise.resolve(etth));
 
+			// update trip log
+			this.updateTripLog({
+				car, moving, hasParked, lastPark, address,
+			});
+
+			// update charging sessions
+			this.updateChargeSessions({ car, address });
+			this.updateChargeEstimate(car);
+
 			const ds = new Date(this.lastRefresh);
 			const date = ds.toString().substring(4, 11);
 			const time = ds.toLocaleTimeString('nl-NL', { hour12: false, timeZone: this.homey.clock.getTimezone() }).substring(0, 5);
@@ -578,7 +787,7 @@ class CarDevice extends Homey.Device {
 
 			if (hasParked) {
 				tokens.address = address;
-				tokens.map = `https://www.google.com/maps?q=${info.location.latitude},${info.location.longitude}`;
+				tokens.map = `https://www.google.com/maps?q=${car.location.latitude},${car.location.longitude}`;
 				this.homey.flow.getDeviceTriggerCard('has_parked')
 					.trigger(this, tokens)
 					.catch(this.error);
@@ -598,42 +807,328 @@ class CarDevice extends Homey.Device {
 	// helper functions
 	isMoving(location) {
 		const previousLocation = { latitude: this.getCapabilityValue('latitude'), longitude: this.getCapabilityValue('longitude') };
-		const moving = location.speed.value > 0
-			|| (Math.abs(location.latitude - previousLocation.latitude) > 0.0001
-			|| Math.abs(location.longitude - previousLocation.longitude) > 0.0001);
-		// console.log(`Moving: ${moving}@${location.speed.value} km/h`);
+		const moving = location.speed > 0
+			|| (previousLocation.latitude !== null
+				&& (Math.abs(location.latitude - previousLocation.latitude) > 0.0001
+				|| Math.abs(location.longitude - previousLocation.longitude) > 0.0001));
+		// console.log(`Moving: ${moving}@${location.speed} km/h`);
 		if (moving) this.lastMoved = Date.now();
 		return moving;
 	}
 
-	isParking(info) {
-		const parked = !info.status.engine; //  && (Date.now() - this.lastMoved > 30 * 1000); // 30s after engine shut off or sleepModeCheck
+	isParking(car) {
+		const parked = !car.engine; //  && (Date.now() - this.lastMoved > 30 * 1000); // 30s after engine shut off or sleepModeCheck
 		if (!parked) return false;	// car is driving
 
-		const newLocation = Math.abs(info.location.latitude - this.parkLocation.latitude) > 0.0002
-			|| Math.abs(info.location.longitude - this.parkLocation.longitude) > 0.0002;
+		const newLocation = Math.abs(car.location.latitude - this.parkLocation.latitude) > 0.0002
+			|| Math.abs(car.location.longitude - this.parkLocation.longitude) > 0.0002;
 		const parking = parked && newLocation;
 		if (parking) {
-			this.parkLocation = info.location;
+			this.parkLocation = car.location;
 			this.setStoreValue('parkLocation', this.parkLocation);
 			// this.carLastActive = Date.now(); // keep polling for some time
 		}
 		return parking;
 	}
 
+	updateContacts(car) {
+		try {
+			const open = {
+				front_left: car.doorsOpen.frontLeft,
+				front_right: car.doorsOpen.frontRight,
+				back_left: car.doorsOpen.backLeft,
+				back_right: car.doorsOpen.backRight,
+				trunk: car.trunkOpen,
+				hood: car.hoodOpen,
+				windows: car.windowsOpen ? Object.values(car.windowsOpen).some((windowOpen) => windowOpen) : undefined,
+			};
+			Object.keys(contacts).forEach((contact) => {
+				if (open[contact] === undefined) return;
+				const capability = `alarm_contact.${contact}`;
+				const wasOpen = this.getCapabilityValue(capability);
+				this.setCapability(capability, !!open[contact]);
+				if (open[contact] && wasOpen === false) {
+					this.log(`${contacts[contact]} opened`);
+					this.homey.flow.getDeviceTriggerCard('door_opened')
+						.trigger(this, { door: contacts[contact] })
+						.catch(this.error);
+				}
+			});
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	updateTireWarnings(car) {
+		try {
+			Object.keys(wheels).forEach((wheel) => {
+				const capability = `alarm_tire_pressure.${wheel}`;
+				const alarm = car.tirePressureWheels[wheel];
+				const hadAlarm = this.getCapabilityValue(capability);
+				this.setCapability(capability, alarm);
+				if (!alarm || hadAlarm) return;
+				this.log(`tire pressure warning ${wheels[wheel]}`);
+				if (this.tireWarnings.length >= maxTireWarnings) this.tireWarnings.shift();
+				this.tireWarnings.push({ time: this.lastRefresh || Date.now(), wheel, odometer: car.odometer });
+				this.setStoreValue('tireWarnings', this.tireWarnings).catch(this.error);
+				this.homey.flow.getDeviceTriggerCard('tire_pressure_warning')
+					.trigger(this, { wheel: wheels[wheel] })
+					.catch(this.error);
+			});
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	async updateSeats(car) {
+		try {
+			if (!car.seats) return;
+			const added = Object.keys(car.seats).filter((seat) => !this.hasCapability(`seat_climate.${seat}`));
+			await added.reduce((chain, seat) => chain.then(async () => {
+				this.log(`adding capability seat_climate.${seat}`);
+				await this.addCapability(`seat_climate.${seat}`);
+				await this.setCapabilityOptions(`seat_climate.${seat}`, { title: { en: seatTitles[seat] } });
+				this.registerSeatListener(seat);
+			}), Promise.resolve());
+			Object.keys(car.seats).forEach((seat) => this.setCapability(`seat_climate.${seat}`, car.seats[seat]));
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	getBatteryHealth() {
+		return {
+			samples: this.batteryMonitor.samples,
+			drain: this.batteryMonitor.drainRate(),
+			hoursLeft: this.batteryMonitor.hoursLeft(this.settings.batteryAlarmLevel),
+			alarmLevel: this.settings.batteryAlarmLevel,
+		};
+	}
+
+	// warnings per wheel, to spot a slow puncture that keeps coming back
+	getTireWarnings() {
+		const perWheel = Object.keys(wheels).reduce((counts, wheel) => ({
+			...counts,
+			[wheel]: this.tireWarnings.filter((warning) => warning.wheel === wheel).length,
+		}), {});
+		return { warnings: this.tireWarnings, perWheel };
+	}
+
+	// 12V drain while parked, and the hours left before the battery alarm level is reached
+	updateBatteryHealth(car) {
+		try {
+			if (car.battery12V === null) return;
+			const added = this.batteryMonitor.addSample({
+				time: this.lastRefresh || Date.now(),
+				soc: car.battery12V,
+				state: car.battery12VState,
+				parked: !car.engine,
+			});
+			if (!added) return;
+			this.setStoreValue('batterySamples', this.batteryMonitor.samples).catch(this.error);
+			const drain = this.batteryMonitor.drainRate();
+			const hoursLeft = this.batteryMonitor.hoursLeft(this.settings.batteryAlarmLevel);
+			const previous = this.getCapabilityValue('battery_hours_left');
+			this.setCapability('battery_drain', drain || 0);
+			this.setCapability('battery_hours_left', hoursLeft);
+			if (hoursLeft !== null) {
+				const tokens = { hours_left: hoursLeft, battery: car.battery12V, drain };
+				this.homey.flow.getDeviceTriggerCard('battery_12v_low_soon')
+					.trigger(this, tokens, { previous, hoursLeft })
+					.catch(this.error);
+			}
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	// forced polling wakes the car, so poll less when the 12V battery drains fast, and stop when it is almost at the alarm level
+	forcedPollInterval() {
+		const interval = this.settings.pollIntervalForced;
+		const hoursLeft = this.getCapabilityValue('battery_hours_left');
+		let factor = 1;
+		if (interval && hoursLeft !== null && hoursLeft < 24) factor = 0;
+		else if (interval && hoursLeft !== null && hoursLeft < 72) factor = 3;
+		if (factor !== this.forcedPollFactor) {
+			if (factor === 0) this.log(`12V battery reaches the alarm level in ${hoursLeft} hours. Forced polling is suspended.`);
+			else if (factor > 1) this.log(`12V battery reaches the alarm level in ${hoursLeft} hours. Forced polling @${interval * factor} minutes.`);
+			this.forcedPollFactor = factor;
+		}
+		return interval * factor;
+	}
+
+	// keep track of how long the car is parked unlocked, and lock it after the auto lock time
+	updateUnlocked(car) {
+		try {
+			if (car.locked || car.engine) {
+				this.unlockedSince = null;
+				this.unlockedMinutes = 0;
+				return;
+			}
+			if (!this.unlockedSince) this.unlockedSince = Date.now();
+			const previous = this.unlockedMinutes;
+			const minutes = Math.floor((Date.now() - this.unlockedSince) / 1000 / 60);
+			this.unlockedMinutes = minutes;
+			if (minutes <= previous) return;
+			this.homey.flow.getDeviceTriggerCard('left_unlocked')
+				.trigger(this, { minutes }, { previous, minutes })
+				.catch(this.error);
+			const { autoLock } = this.settings;
+			if (autoLock && previous < autoLock && minutes >= autoLock) {
+				this.log(`car is parked unlocked for ${minutes} minutes`);
+				this.lock(true, 'auto lock');
+			}
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	updateTripLog({
+		car, moving, hasParked, lastPark, address,
+	}) {
+		try {
+			const time = this.lastRefresh || Date.now();
+			let changed = false;
+			if ((moving || hasParked) && !this.tripLog.isOpen()) {
+				this.tripLog.open({ ...lastPark, time });
+				changed = true;
+			}
+			if (this.tripLog.isOpen()) {
+				changed = this.tripLog.addSample({
+					time,
+					latitude: car.location.latitude,
+					longitude: car.location.longitude,
+					altitude: car.location.altitude,
+					heading: car.location.heading,
+					speed: car.location.speed,
+				}) || changed;
+			}
+			if (hasParked) {
+				this.parkAddress = address;
+				this.setStoreValue('parkAddress', address).catch(this.error);
+				const trip = this.tripLog.close({
+					time,
+					latitude: car.location.latitude,
+					longitude: car.location.longitude,
+					address,
+					odometer: car.odometer,
+					soc: car.isEV ? car.soc : null,
+				});
+				this.log(`Trip recorded: ${trip.distance} km in ${trip.duration} minutes`);
+				this.setStoreValue('trips', this.tripLog.trips).catch(this.error);
+				changed = true;
+			}
+			if (changed) this.setStoreValue('openTrip', this.tripLog.openTrip).catch(this.error);
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	updateChargeSessions({ car, address }) {
+		try {
+			if (!car.isEV) return;
+			const events = this.chargeSessions.update({
+				time: this.lastRefresh || Date.now(),
+				plugged: car.plugged,
+				charging: car.charging,
+				soc: car.soc,
+				location: { latitude: car.location.latitude, longitude: car.location.longitude, address },
+			});
+			events.forEach((event) => this.log(`Charging session: ${event.replace('_', ' ')}`));
+			if (events.includes('unplugged')) {
+				const session = this.chargeSessions.sessions[this.chargeSessions.sessions.length - 1];
+				this.log(`Charging session recorded: ${session.energy} kWh (${session.type}) for ${session.cost}`);
+				this.setStoreValue('chargeSessions', this.chargeSessions.sessions).catch(this.error);
+				if (this.chargePlanner.override) this.overrideChargePlan('auto', 'unplug');
+			}
+			if (events.length || this.chargeSessions.openSession) {
+				this.setStoreValue('openChargeSession', this.chargeSessions.openSession).catch(this.error);
+				this.setStoreValue('lastChargeState', this.chargeSessions.lastState).catch(this.error);
+			}
+			const totals = this.chargeSessions.monthTotals(this.monthKey(Date.now()), (time) => this.monthKey(time));
+			this.setCapability('charge_energy_month', totals.energy);
+			this.setCapability('charge_cost_month', totals.cost);
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	updateChargeEstimate(car) {
+		try {
+			if (!car.isEV) return;
+			const { timeToFull } = car;
+			const previous = this.getCapabilityValue('time_to_full');
+			let completeAt = '-';
+			if (timeToFull) {
+				const ds = new Date((this.lastRefresh || Date.now()) + timeToFull * 60 * 1000);
+				const date = ds.toString().substring(4, 11);
+				const time = ds.toLocaleTimeString('nl-NL', { hour12: false, timeZone: this.homey.clock.getTimezone() }).substring(0, 5);
+				completeAt = `${date} ${time}`;
+			}
+			this.setCapability('time_to_full', timeToFull);
+			this.setCapability('charge_complete_at', completeAt);
+			if (timeToFull && previous && timeToFull < previous) {
+				const tokens = { minutes: timeToFull, complete_at: completeAt };
+				this.homey.flow.getDeviceTriggerCard('charge_almost_done')
+					.trigger(this, tokens, { previous, current: timeToFull })
+					.catch(this.error);
+			}
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	monthKey(time) {
+		const date = new Date(new Date(time).toLocaleString('en-US', { timeZone: this.homey.clock.getTimezone() }));
+		return `${date.getFullYear()}-${date.getMonth() + 1}`;
+	}
+
+	updateZones(location) {
+		try {
+			const zones = this.homey.app.getZones();
+			const inZones = geofence.getZones(zones, location);
+			const inZoneIds = inZones.map((zone) => zone.id);
+			const entered = inZones.filter((zone) => !this.currentZones.includes(zone.id));
+			const left = zones.filter((zone) => this.currentZones.includes(zone.id) && !inZoneIds.includes(zone.id));
+			const zoneNames = inZones.map((zone) => zone.name).join(', ');
+			this.setCapability('current_zone', zoneNames || '-');
+			if (!entered.length && !left.length && inZoneIds.length === this.currentZones.length) return;
+			this.currentZones = inZoneIds;
+			this.setStoreValue('currentZones', inZoneIds).catch(this.error);
+			left.forEach((zone) => {
+				this.log(`${this.getName()} left zone ${zone.name}`);
+				this.homey.flow.getDeviceTriggerCard('left_zone')
+					.trigger(this, { zone: zone.name }, { zone: zone.id })
+					.catch(this.error);
+			});
+			entered.forEach((zone) => {
+				this.log(`${this.getName()} entered zone ${zone.name}`);
+				this.homey.flow.getDeviceTriggerCard('entered_zone')
+					.trigger(this, { zone: zone.name }, { zone: zone.id })
+					.catch(this.error);
+			});
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
+	isInZone(zoneId) {
+		return this.currentZones.includes(zoneId);
+	}
+
 	// Estimated Time to Home.
-	async etth(info) {
+	async etth(car) {
 		try {
-			if (!info || (Date.now() - this.lastRefresh) >= 3 * 60 * 1000) return this.getCapabilityValue('etth');
+			if (!car || (Date.now() - this.lastRefresh) >= 3 * 60 * 1000) return this.getCapabilityValue('etth');
 
 			// estimate TTH based on avgSpd
-			const distance = this.distance(info.location);
+			const distance = this.distance(car.location);
 			const avgSpd = 40;
 			let etth = (distance > 0.15) ? (60 * (distance / avgSpd)) : 0;	// in minutes
 
 			// estimate TTH based on Google directions
-			if (this.gmapsEnabled && info.status.engine && distance > 0.15) {
-				const origin = `${info.location.latitude},${info.location.longitude}`;
+			if (this.gmapsEnabled && car.engine && distance > 0.15) {
+				const origin = `${car.location.latitude},${car.location.longitude}`;
 				const destination = `${this.settings.lat},${this.settings.lon}`;
 				const directions = await this.maps.directions({ origin, destination })
 					.catch((error) => this.error(error.message));
@@ -653,6 +1148,15 @@ class CarDevice extends Homey.Device {
 		}
 	}
 
+	// local place and address of a location via reverse geocoding
+	getCarLocString(location) {
+		return geo.getCarLocString(location)
+			.catch((error) => {
+				this.error(error);
+				return { local: '-?-', address: '-?-' };
+			});
+	}
+
 	distance(location) {
 		const lat1 = location.latitude;
 		const lon1 = location.longitude;
@@ -663,19 +1167,16 @@ class CarDevice extends Homey.Device {
 		return Math.round(from.distanceTo(to, true) * 100) / 100;
 	}
 
-	async abrpTelemetry(info) {
+	async abrpTelemetry(car) {
 		try {
-			if (!this.abrpEnabled || !info || !info.location || !info.status || !info.status.evStatus) return;
-			const {
-				batteryCharge: charging,
-				batteryStatus: soc,
-			} = info.status.evStatus;
-			const dcfc = info.status.evStatus.batteryPlugin === 1;
+			if (!this.abrpEnabled || !car || !car.isEV || !car.hasLocation()) return;
+			const { soc, charging } = car;
+			const dcfc = car.plugged === 1;
 			const {
 				latitude: lat,
 				longitude: lon,
-			} = info.location;
-			const speed = info.location.speed.value;
+				speed,
+			} = car.location;
 			await this.abrp.send({
 				lat, lon, speed, soc, charging, dcfc,
 			});
@@ -685,49 +1186,93 @@ class CarDevice extends Homey.Device {
 	}
 
 	acOnOff(acOn, source) {
-		if (this.getCapabilityValue('engine')) return Promise.reject(Error('Control not possible; engine is on'));
-		let command;
-		let args;
-		if (acOn) {
-			this.log(`A/C on via ${source}`); // app or flow
-			command = 'start';
-			args = {
-				temperature: this.getCapabilityValue('target_temperature') || 22,
-			};
-		} else {
-			this.log(`A/C off via ${source}`); // app or flow
-			command = 'stop';
-			args = {
-				temperature: this.getCapabilityValue('target_temperature') || 22,
-			};
-		}
-		this.enQueue({ command, args });
-		return Promise.resolve(true);
+		if (acOn) return this.startClimate({}, source);
+		return this.stopClimate(source);
 	}
 
 	defrostOnOff(defrost, source) {
+		if (defrost) return this.startClimate({ defrost: true, steeringWheel: true, rearWindow: true }, source);
+		return this.stopClimate(source);
+	}
+
+	stopClimate(source) {
 		if (this.getCapabilityValue('engine')) return Promise.reject(Error('Control not possible; engine is on'));
-		let command;
-		let args;
-		if (defrost) {
-			this.log(`defrost on via ${source}`);
-			command = 'start';
-			args = {
-				defrost: true,
-				windscreenHeating: true,
-				temperature: this.getCapabilityValue('target_temperature') || 22,
-			};
-		} else {
-			this.log(`defrost off via ${source}`);
-			command = 'stop';
-			args = {
-				defrost: false,
-				windscreenHeating: false,
-				temperature: this.getCapabilityValue('target_temperature') || 22,
+		this.log(`climate stop via ${source}`);
+		clearTimeout(this.climateStopTimer);
+		const args = {
+			defrost: false,
+			windscreenHeating: false,
+			temperature: this.getCapabilityValue('target_temperature') || 22,
+		};
+		this.enQueue({ command: 'stop', args });
+		return Promise.resolve(true);
+	}
+
+	// current climate options from the capabilities, see climate_options.js
+	getClimateOptions() {
+		const seats = climateOptions.seats
+			.filter((seat) => this.hasCapability(`seat_climate.${seat}`))
+			.reduce((levels, seat) => ({ ...levels, [seat]: this.getCapabilityValue(`seat_climate.${seat}`) || 'off' }), {});
+		return {
+			temperature: this.getCapabilityValue('target_temperature') || 22,
+			defrost: !!this.getCapabilityValue('defrost'),
+			steeringWheel: !!this.getCapabilityValue('steering_wheel_heat'),
+			rearWindow: !!this.getCapabilityValue('rear_window_heat'),
+			seats: Object.keys(seats).length ? seats : undefined,
+		};
+	}
+
+	// starts climate control with the current options, changed by changes: { temperature, defrost, steeringWheel, rearWindow, seats }
+	// duration in minutes is optional. Homey stops climate control when it has passed.
+	startClimate(changes, source, duration) {
+		try {
+			if (this.getCapabilityValue('engine')) throw Error('Control not possible; engine is on');
+			const current = this.getClimateOptions();
+			const options = {
+				...current,
+				...changes,
+				seats: changes.seats ? { ...current.seats, ...changes.seats } : current.seats,
 			};
+			if (changes.seats && !this.euVehicle) throw Error('Seat climate is only available for EU vehicles');
+			if (!this.euVehicle) delete options.seats;
+			climateOptions.validate(options);
+			this.log(`climate start via ${source}`, JSON.stringify(options));
+			const args = regionStatus.startOptions(this.settings.region, {
+				...options,
+				airCtrl: true,
+				heating1: options.steeringWheel || options.rearWindow, // US and CA have one switch for both
+			});
+			if (duration) args.igniOnDuration = duration;
+			this.enQueue({ command: 'start', args });
+			clearTimeout(this.climateStopTimer);
+			if (duration) {
+				this.climateStopTimer = setTimeout(() => {
+					if (!this.getCapabilityValue('climate_control') && !this.getCapabilityValue('defrost')) return;
+					this.stopClimate('profile duration').catch(this.error);
+				}, duration * 60 * 1000);
+			}
+			return Promise.resolve(true);
+		} catch (error) {
+			this.error(error.message);
+			return Promise.reject(error);
 		}
-		this.enQueue({ command, args });
-		return Promise.resolve(true);
+	}
+
+	// heater: steering_wheel or rear_window
+	setHeater(heater, on, source) {
+		if (heater !== 'steering_wheel' && heater !== 'rear_window') return Promise.reject(Error(`Unknown heater: ${heater}`));
+		const key = heater === 'steering_wheel' ? 'steeringWheel' : 'rearWindow';
+		this.log(`${heater} heat ${on ? 'on' : 'off'} via ${source}`);
+		const options = { ...this.getClimateOptions(), [key]: !!on };
+		const stillOn = this.getCapabilityValue('climate_control') || options.defrost || options.steeringWheel || options.rearWindow;
+		if (!stillOn) return this.stopClimate(source);
+		return this.startClimate({ [key]: !!on }, source);
+	}
+
+	setSeatClimate(seat, level, source) {
+		if (!this.hasCapability(`seat_climate.${seat}`)) return Promise.reject(Error(`This car does not report seat climate for ${seat}`));
+		this.log(`${seat} seat climate ${level} via ${source}`);
+		return this.startClimate({ seats: { [seat]: level } }, source);
 	}
 
 	async chargingOnOff(charge, source) {
@@ -746,29 +1291,449 @@ class CarDevice extends Homey.Device {
 		return Promise.resolve(true);
 	}
 
+	setChargeLimit(ac, dc, source) {
+		if (!this.euVehicle) return Promise.reject(Error('Charge limit is only supported for EU vehicles'));
+		if (!EuVehicle.isValidChargeTarget(ac) || !EuVehicle.isValidChargeTarget(dc)) {
+			return Promise.reject(Error('Charge limit must be 50-100% in steps of 10%'));
+		}
+		this.log(`charge limit set to AC ${ac}% DC ${dc}% via ${source}`);
+		this.enQueue({ command: 'setChargeTargets', args: { ac, dc } });
+		return Promise.resolve(true);
+	}
+
+	getDepartureTimers() {
+		if (!this.departureTimers) throw Error('No departure timer info available yet');
+		return this.departureTimers;
+	}
+
+	setDepartureTimers(model, source) {
+		try {
+			if (!this.euVehicle) throw Error('Departure timers are only supported for EU vehicles');
+			const reservations = departureTimers.build(model); // throws on an invalid model
+			this.log(`departure timers set via ${source}`, JSON.stringify(model));
+			this.departureTimers = model;
+			this.enQueue({ command: 'setReservations', args: reservations });
+			return Promise.resolve(true);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	setDepartureTimer(id, changes, source) {
+		try {
+			const model = JSON.parse(JSON.stringify(this.getDepartureTimers()));
+			const timer = model.timers.find((tmr) => tmr.id === Number(id));
+			if (!timer) throw Error(`Unknown departure timer: ${id}`);
+			Object.assign(timer, changes, { climate: { ...timer.climate, ...changes.climate } });
+			model.enabled = model.timers.some((tmr) => tmr.enabled);
+			return this.setDepartureTimers(model, source);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	setOffPeakWindow(offPeak, source) {
+		try {
+			const model = JSON.parse(JSON.stringify(this.getDepartureTimers()));
+			model.offPeak = { ...model.offPeak, ...offPeak };
+			return this.setDepartureTimers(model, source);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	// departure: 'HH:MM', ISO time or ms > ms
+	departureTime(departure) {
+		if (/^\d{1,2}:\d{2}$/.test(`${departure}`)) return ChargePlanner.nextTime(departure, this.homey.clock.getTimezone());
+		if (typeof departure === 'string') return new Date(departure).getTime();
+		return departure;
+	}
+
+	// plans climate control before departure from the outside temperature in °C
+	setPrecondition(departure, outsideTemperature, source) {
+		try {
+			const plan = preconditioning.plan({ departure: this.departureTime(departure), outsideTemperature });
+			this.precondition = { ...plan, status: plan.mode === 'none' ? 'not needed' : 'planned', reason: null };
+			this.log(`preconditioning ${plan.mode} ${plan.leadMinutes} minutes before ${new Date(plan.departure).toISOString()} via ${source}`);
+			this.setStoreValue('precondition', this.precondition).catch(this.error);
+			this.schedulePrecondition();
+			return Promise.resolve(this.precondition);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	getPrecondition() {
+		return this.precondition || null;
+	}
+
+	schedulePrecondition() {
+		clearTimeout(this.preconditionTimer);
+		if (!this.precondition || this.precondition.status !== 'planned') return;
+		if (this.precondition.departure <= Date.now()) return;
+		const wait = Math.max(this.precondition.startAt - Date.now(), 0);
+		this.preconditionTimer = setTimeout(() => this.runPrecondition().catch(this.error), wait);
+	}
+
+	async runPrecondition() {
+		const plan = this.precondition;
+		try {
+			const reason = preconditioning.skipReason(this.carStatus, this.settings.EVbatteryAlarmLevel);
+			if (reason) {
+				this.log(`preconditioning skipped: ${reason}`);
+				this.precondition = { ...plan, status: 'skipped', reason };
+			} else {
+				const minutesLeft = Math.ceil((plan.departure - Date.now()) / 60 / 1000);
+				await this.startClimate(plan.options, 'preconditioning', Math.min(minutesLeft + 5, 30));
+				this.precondition = { ...plan, status: 'started', reason: null };
+			}
+		} catch (error) {
+			this.precondition = { ...plan, status: 'failed', reason: error.message };
+		}
+		this.setStoreValue('precondition', this.precondition).catch(this.error);
+	}
+
+	// prices: list of hourly prices, departure: 'HH:MM', ISO time or ms
+	setChargePrices(prices, departure, source) {
+		const previous = { prices: this.chargePlanner.prices, departure: this.chargeDeparture };
+		try {
+			const departureTime = this.departureTime(departure);
+			this.chargePlanner.setPrices(prices);
+			this.chargeDeparture = departureTime;
+			this.log(`charge prices set via ${source}`);
+			const plan = this.updateChargePlan();
+			return Promise.resolve(plan);
+		} catch (error) {
+			// keep the prices and departure of the current plan when the new ones cannot be planned
+			this.chargePlanner.prices = previous.prices;
+			this.chargeDeparture = previous.departure;
+			return Promise.reject(error);
+		}
+	}
+
+	updateChargePlan() {
+		const dc = !!this.carStatus && this.carStatus.plugged === 1;
+		const plan = this.chargePlanner.makePlan({
+			soc: this.getCapabilityValue('measure_battery.EV') || 0,
+			target: this.getCapabilityValue(dc ? 'charge_limit_dc' : 'charge_limit_ac') || 100,
+			capacity: Number(this.settings.batteryCapacity),
+			power: Number(dc ? this.settings.chargePowerDC : this.settings.chargePowerAC),
+			departure: this.chargeDeparture,
+		});
+		const description = this.chargePlanner.describe(this.homey.clock.getTimezone());
+		this.log(`Charge plan: ${description} (${plan.hoursNeeded} hours needed)`);
+		this.saveChargePlanner();
+		const tokens = { plan: description, hours: plan.slots.length };
+		this.homey.flow.getDeviceTriggerCard('charge_plan_updated')
+			.trigger(this, tokens)
+			.catch(this.error);
+		this.runChargePlan();
+		return plan;
+	}
+
+	getChargePlan() {
+		return {
+			plan: this.chargePlanner.plan,
+			override: this.chargePlanner.override,
+			description: this.chargePlanner.describe(this.homey.clock.getTimezone()),
+		};
+	}
+
+	// mode: 'charge', 'pause', 'auto' (follow the plan) or 'cancel' (drop the plan)
+	overrideChargePlan(mode, source) {
+		if (!['charge', 'pause', 'auto', 'cancel'].includes(mode)) return Promise.reject(Error(`Unknown override: ${mode}`));
+		this.log(`charge plan override ${mode} via ${source}`);
+		if (mode === 'cancel') this.chargePlanner.clearPlan();
+		else this.chargePlanner.override = mode === 'auto' ? null : mode;
+		this.saveChargePlanner();
+		this.runChargePlan();
+		return Promise.resolve(true);
+	}
+
+	saveChargePlanner() {
+		const { prices, plan, override } = this.chargePlanner;
+		this.setStoreValue('chargePlanner', { prices, plan, override }).catch(this.error);
+		this.setCapability('charge_plan', this.chargePlanner.override
+			? `override: ${this.chargePlanner.override}` : this.chargePlanner.describe(this.homey.clock.getTimezone()));
+	}
+
+	// start or stop charging when the plan says so. Only sends a command when the planned state changes.
+	runChargePlan() {
+		try {
+			const { plan, override } = this.chargePlanner;
+			if (!plan && !override) return;
+			if (!override && this.chargePlanner.isDone()) {
+				this.log('Charge plan completed');
+				this.chargePlanner.clearPlan();
+				this.saveChargePlanner();
+				// do not go on charging at full price after the last planned hour
+				if (this.plannedCharging) this.chargingOnOff(false, 'charge planner');
+				this.plannedCharging = undefined;
+				return;
+			}
+			if (this.getCapabilityValue('charger') === '0') { // not plugged in
+				this.plannedCharging = undefined;
+				return;
+			}
+			const targetReached = plan && this.getCapabilityValue('measure_battery.EV') >= plan.target;
+			const charge = this.chargePlanner.shouldCharge() && (override === 'charge' || !targetReached);
+			if (this.plannedCharging === undefined) this.plannedCharging = this.getCapabilityValue('charging');
+			if (charge === this.plannedCharging) return;
+			this.plannedCharging = charge;
+			this.chargingOnOff(charge, 'charge planner');
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
 	lock(locked, source) {
 		let command;
 		if (locked) {
 			this.log(`locking doors via ${source}`);
 			command = 'lock';
+			this.stopRelock();
 		} else {
 			this.log(`unlocking doors via ${source}`);
 			command = 'unlock';
+			this.scheduleRelock();
 		}
 		this.enQueue({ command });
 		return Promise.resolve(true);
 	}
 
+	// result: { command, args, result, reason } from the command verifier
+	commandResult({
+		command, args, result, reason,
+	}) {
+		if (result === 'retry') {
+			this.log(`${command} not confirmed by the car (${reason}), retrying`);
+			this.enQueue({ command, args, origin: 'retry' });
+			return;
+		}
+		if (result === 'succeeded') {
+			this.log(`${command} confirmed by the car`);
+			this.homey.flow.getDeviceTriggerCard('command_succeeded')
+				.trigger(this, { command })
+				.catch(this.error);
+			return;
+		}
+		this.log(`${command} failed: ${reason}`);
+		this.homey.flow.getDeviceTriggerCard('command_failed')
+			.trigger(this, { command, reason })
+			.catch(this.error);
+	}
+
+	// records the raw server responses of this car, see session_recorder.js. Stopping keeps the recording for download.
+	setCapture(enabled, source) {
+		if (enabled) {
+			this.recorder = new SessionRecorder();
+			this.capturedSession = null;
+		} else if (this.recorder) {
+			this.capturedSession = this.recorder;
+			this.recorder = null;
+		}
+		this.log(`session recording ${enabled ? 'started' : 'stopped'} via ${source}`);
+		return Promise.resolve({ recording: !!this.recorder });
+	}
+
+	// the running or last stopped recording as a file
+	getCapture() {
+		const recorder = this.recorder || this.capturedSession;
+		if (!recorder) return Promise.reject(Error('No recorded session. Start a recording first.'));
+		return Promise.resolve(recorder.toFile(`${this.getName()}_session`));
+	}
+
+	// a copy of the device to replay a session in. It starts empty, keeps its capabilities, flow triggers and commands to itself,
+	// does not write the store and makes no outside requests: no reverse geocoding, Google Maps or ABRP.
+	// The trips, charge sessions, zones and the car itself are left as they are.
+	replayContext() {
+		const capabilities = {};
+		const triggers = [];
+		const commands = [];
+		const card = (id) => ({
+			trigger: (device, tokens) => {
+				triggers.push({ id, tokens });
+				return Promise.resolve(true);
+			},
+		});
+		const context = Object.create(this);
+		Object.assign(context, {
+			homey: {
+				app: this.homey.app,
+				clock: this.homey.clock,
+				flow: { getDeviceTriggerCard: card, getTriggerCard: card },
+			},
+			replayed: { capabilities, triggers, commands },
+			gmapsEnabled: false,
+			abrpEnabled: false,
+			maps: null,
+			abrp: null,
+			tripLog: new TripLog({}),
+			chargeSessions: new ChargeSessions({ capacity: this.settings.batteryCapacity, tariff: this.settings.chargeTariff }),
+			batteryMonitor: new BatteryMonitor(),
+			chargePlanner: new ChargePlanner(),
+			commandVerifier: new CommandVerifier(),
+			tireWarnings: [],
+			currentZones: [],
+			parkLocation: { latitude: null, longitude: null },
+			parkAddress: null,
+			departureTimers: undefined,
+			carStatus: undefined,
+			plannedCharging: undefined,
+			unlockedSince: null,
+			unlockedMinutes: 0,
+			lastMoved: 0,
+			relockWatch: null,
+			relockPending: false,
+		});
+		context.hasCapability = (capability) => capability in capabilities || this.hasCapability(capability);
+		context.getCapabilityValue = (capability) => (capability in capabilities ? capabilities[capability] : null);
+		context.setCapabilityValue = (capability, value) => {
+			capabilities[capability] = value;
+			return Promise.resolve();
+		};
+		context.addCapability = (capability) => context.setCapabilityValue(capability, null);
+		context.setCapabilityOptions = () => Promise.resolve();
+		context.registerSeatListener = () => null;
+		context.setStoreValue = () => Promise.resolve();
+		context.enQueue = (item) => {
+			commands.push(item);
+			return Promise.resolve();
+		};
+		context.lock = (locked, source) => context.enQueue({ command: locked ? 'lock' : 'unlock', source });
+		context.scheduleRelock = () => null;
+		context.getCarLocString = (location) => Promise.resolve({ local: '-?-', address: `${location.latitude},${location.longitude}` });
+		return context;
+	}
+
+	// feeds the polls of a recorded session into handleInfo of a replay context, oldest first.
+	// Resolves with what the replay did: { replayed, capabilities, triggers, commands, trips }
+	async replaySession(file, source) {
+		try {
+			if (this.replaying) throw Error('A session is already replayed');
+			const polls = SessionRecorder.polls(file);
+			if (!polls.length) throw Error('The session has no recorded polls');
+			this.log(`replaying ${polls.length} polls via ${source}`);
+			this.replaying = true;
+			const context = this.replayContext();
+			await polls.reduce((previous, poll) => previous.then(() => {
+				const {
+					status, location, odometer, region,
+				} = poll.response;
+				const car = new VehicleStatus({
+					status, location, odometer, region: region || (this.vehicle && this.vehicle.region),
+				});
+				context.lastRefresh = poll.time;
+				return context.handleInfo(car);
+			}), Promise.resolve());
+			this.replaying = false;
+			this.log('replay finished');
+			return Promise.resolve({ replayed: polls.length, ...context.replayed, trips: context.tripLog.trips });
+		} catch (error) {
+			this.replaying = false;
+			return Promise.reject(error);
+		}
+	}
+
+	// state: closed, open or half_open. retryIn in ms
+	circuitChanged(state, errorClass, retryIn) {
+		const minutes = Math.ceil(retryIn / 60 / 1000);
+		this.log(`server requests ${state}${errorClass ? ` (${errorClass})` : ''}${state === 'open' ? `, retrying in ${minutes} minutes` : ''}`);
+		this.setCapability('circuit_state', state);
+		if (state === 'open') {
+			this.setUnavailable(`Server requests paused after ${errorClass} errors. Retrying in ${minutes} minutes.`).catch(this.error);
+		}
+		if (state === 'closed') this.setAvailable().catch(this.error);
+		this.homey.flow.getDeviceTriggerCard('circuit_state_changed')
+			.trigger(this, { state, reason: errorClass || '', retry_in: minutes })
+			.catch(this.error);
+	}
+
+	// a flow or the app only unlocks with the unlock secret, or when the unlock is requested twice within the confirmation window
+	unlockRequest(secret, source) {
+		const { unlockSecret, unlockConfirmWindow } = this.settings;
+		if (unlockSecret) {
+			if (secret === undefined) return Promise.reject(Error('Unlock needs the unlock secret: use the unlock flow card with the secret'));
+			if (secret !== unlockSecret) return Promise.reject(Error('Unlock secret is not correct'));
+			return this.lock(false, source);
+		}
+		const confirmWindow = (unlockConfirmWindow || 60) * 1000;
+		if (this.unlockRequestedAt && (Date.now() - this.unlockRequestedAt) <= confirmWindow) {
+			this.unlockRequestedAt = null;
+			return this.lock(false, source);
+		}
+		this.unlockRequestedAt = Date.now();
+		this.log(`unlock requested via ${source}, waiting for confirmation`);
+		return Promise.reject(Error(`Unlock needs confirmation: run the unlock action again within ${confirmWindow / 1000} seconds`));
+	}
+
+	// after a remote unlock, check the doors with a fresh status when the re-lock time has passed.
+	// Until then the server status is read every minute, so a door that is opened and closed again is seen.
+	scheduleRelock() {
+		this.stopRelock();
+		const { relockTime } = this.settings;
+		if (!relockTime) return;
+		this.relockWatch = { odometer: this.getCapabilityValue('odometer'), doorOpened: false };
+		this.relockPollTimer = setInterval(() => this.enQueue({ command: 'doPoll', args: false }), 60 * 1000);
+		this.relockTimer = setTimeout(() => {
+			clearInterval(this.relockPollTimer);
+			this.relockPending = true;
+			this.enQueue({ command: 'doPoll', args: true });
+		}, relockTime * 60 * 1000);
+	}
+
+	stopRelock() {
+		clearTimeout(this.relockTimer);
+		clearInterval(this.relockPollTimer);
+		this.relockPending = false;
+		this.relockWatch = null;
+	}
+
+	// a door that was seen open since the unlock, or a car that was started or moved, prevents the re-lock
+	updateRelock(car) {
+		try {
+			if (!this.relockWatch) return;
+			const doorOpen = Object.values(car.doorsOpen).some((open) => open) || car.trunkOpen || car.hoodOpen;
+			const moved = car.odometer !== null && this.relockWatch.odometer !== null && car.odometer !== this.relockWatch.odometer;
+			if (doorOpen || car.engine || moved) this.relockWatch.doorOpened = true;
+			if (!this.relockPending) return;
+			const { doorOpened } = this.relockWatch;
+			this.stopRelock();
+			if (car.locked || car.engine || doorOpened) return;
+			this.log('no door opened after remote unlock');
+			this.lock(true, 're-lock');
+		} catch (error) {
+			this.error(error);
+		}
+	}
+
 	setTargetTemp(temp, source) {
-		if (this.getCapabilityValue('engine')) return Promise.reject(Error('Control not possible; engine is on'));
 		if (!this.getCapabilityValue('climate_control')) return Promise.reject(Error('Climate control not on'));
 		this.log(`Temperature set by ${source} to ${temp}`);
-		const args = {
-			temperature: temp || 22,
-		};
-		const command = 'start';
-		this.enQueue({ command, args });
-		return Promise.resolve(true);
+		return this.startClimate({ temperature: temp || 22 }, source);
+	}
+
+	getClimateProfiles() {
+		return this.climateProfiles;
+	}
+
+	setClimateProfiles(profiles, source) {
+		try {
+			climateProfiles.validateAll(profiles);
+			this.log(`climate profiles set via ${source}`);
+			this.climateProfiles = profiles;
+			this.setStoreValue('climateProfiles', profiles).catch(this.error);
+			return Promise.resolve(this.climateProfiles);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	startClimateProfile(id, source) {
+		const profile = this.climateProfiles.find((prof) => prof.id === id);
+		if (!profile) return Promise.reject(Error(`Unknown climate profile: ${id}`));
+		this.log(`climate profile ${profile.name} via ${source}`);
+		return this.startClimate(climateProfiles.toOptions(profile), source, Number(profile.duration));
 	}
 
 	async refreshStatus(refresh, source) {
@@ -798,6 +1763,10 @@ class CarDevice extends Homey.Device {
 		return Promise.resolve(true);
 	}
 
+	registerSeatListener(seat) {
+		this.registerCapabilityListener(`seat_climate.${seat}`, (level) => this.setSeatClimate(seat, level, 'app'));
+	}
+
 	// register capability listeners
 	async registerListeners() {
 		try {
@@ -810,12 +1779,18 @@ class CarDevice extends Homey.Device {
 			// await Promise.all(ready);
 
 			// capabilityListeners will be overwritten, so no need to unregister them
-			this.registerCapabilityListener('locked', (locked) => this.lock(locked, 'app'));
+			// also the lock and unlock flow cards of the capability: an unlock needs the same confirmation as the unlock flow card
+			this.registerCapabilityListener('locked', (locked) => (locked ? this.lock(true, 'app') : this.unlockRequest(undefined, 'app')));
 			this.registerCapabilityListener('defrost', (defrost) => this.defrostOnOff(defrost, 'app'));
 			this.registerCapabilityListener('climate_control', (acOn) => this.acOnOff(acOn, 'app'));
 			this.registerCapabilityListener('target_temperature', async (temp) => this.setTargetTemp(temp, 'app'));
 			this.registerCapabilityListener('refresh_status', (refresh) => this.refreshStatus(refresh, 'app'));
 			this.registerCapabilityListener('charging', (charge) => this.chargingOnOff(charge, 'app'));
+			this.registerCapabilityListener('steering_wheel_heat', (on) => this.setHeater('steering_wheel', on, 'app'));
+			this.registerCapabilityListener('rear_window_heat', (on) => this.setHeater('rear_window', on, 'app'));
+			climateOptions.seats
+				.filter((seat) => this.hasCapability(`seat_climate.${seat}`))
+				.forEach((seat) => this.registerSeatListener(seat));
 
 			return Promise.resolve(this.listeners);
 		} catch (error) {
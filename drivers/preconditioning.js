@@ -0,0 +1,90 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// decides how to precondition the cabin before departure, based on the outside temperature.
+// returns a plan:
+// {
+// 	mode: 'defrost',	// defrost, heat, cool or none
+// 	departure: 1616565600000,
+// 	outsideTemperature: -2,	// °C
+// 	leadMinutes: 20,	// start this many minutes before departure
+// 	startAt: 1616564400000,
+// 	options: { temperature: 22, defrost: true, steeringWheel: true, rearWindow: true },	// see climate_options.js
+// }
+
+const defrostBelow = 3;	// °C, risk of frost on the windows
+const heatBelow = 12;
+const coolAbove = 24;
+const maxLeadMinutes = 30;
+const maxPlanAhead = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(Math.max(Math.round(value), min), max);
+
+const plan = ({ departure, outsideTemperature, now }) => {
+	const temp = Number(outsideTemperature);
+	if (!Number.isFinite(temp)) throw Error(`Invalid outside temperature: ${outsideTemperature}`);
+	const time = now || Date.now();
+	if (!Number.isFinite(departure) || departure <= time) throw Error('Departure must be in the future');
+	if (departure - time > maxPlanAhead) throw Error('Departure must be within 24 hours');
+	let mode = 'none';
+	let leadMinutes = 0;
+	let options = null;
+	if (temp < defrostBelow) {
+		mode = 'defrost';
+		leadMinutes = clamp(15 + (defrostBelow - temp), 15, maxLeadMinutes); // one extra minute per degree of frost
+		options = {
+			temperature: 22, defrost: true, steeringWheel: true, rearWindow: true,
+		};
+	} else if (temp < heatBelow) {
+		mode = 'heat';
+		leadMinutes = clamp(10 + (heatBelow - temp) / 2, 10, maxLeadMinutes);
+		options = {
+			temperature: 22, defrost: false, steeringWheel: temp < 8, rearWindow: false,
+		};
+	} else if (temp > coolAbove) {
+		mode = 'cool';
+		leadMinutes = clamp(10 + (temp - coolAbove), 10, 20);
+		options = {
+			temperature: 19, defrost: false, steeringWheel: false, rearWindow: false,
+		};
+	}
+	return {
+		mode,
+		departure,
+		outsideTemperature: temp,
+		leadMinutes,
+		startAt: departure - leadMinutes * 60 * 1000,
+		options,
+	};
+};
+
+// reason to skip preconditioning, or null. An EV below the battery alarm level is only preconditioned on the charger.
+const skipReason = (car, evBatteryAlarmLevel) => {
+	if (!car) return 'no car status available';
+	if (car.engine) return 'engine is on';
+	if (car.isEV && car.soc !== null && car.soc < evBatteryAlarmLevel && !car.plugged && !car.charging) {
+		return `EV battery ${car.soc}% is below the alarm level and the car is not plugged in`;
+	}
+	return null;
+};
+
+module.exports.plan = plan;
+module.exports.skipReason = skipReason;
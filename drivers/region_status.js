@@ -0,0 +1,109 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+
+// kuvork returns a differently shaped raw payload per region (european.vehicle, american.vehicle, canadian.vehicle).
+// The functions below map the US and CA payloads onto the EU shape that the device code is written for.
+// Recorded payloads are in test/fixtures.
+
+// kuvork only implements fullStatus for EU, and odometer throws 'Method not implemented.' for CA
+const features = (region) => ({
+	fullStatus: region === 'EU',
+	odometer: region !== 'CA',
+});
+
+// '0AH' stays as is. US cars report { value: '70', unit: 1 } in °F, or 'LO' / 'HI'.
+const toTempCode = (airTemp) => {
+	if (!airTemp) return '00H';
+	const value = `${airTemp.value}`.toUpperCase();
+	if (/^[0-9A-F]{2}H$/.test(value)) return value;
+	if (value === 'LO') return convert.getTempCode(15);
+	if (value === 'HI') return convert.getTempCode(30);
+	let temperature = Number(value);
+	if (!Number.isFinite(temperature)) return '00H';
+	if (airTemp.unit === 1) temperature = ((temperature - 32) * 5) / 9;
+	temperature = Math.min(Math.max(Math.round(temperature * 2) / 2, 15), 30);
+	return convert.getTempCode(temperature);
+};
+
+// EU: '20210313185232', US: '2021-03-13T18:52:32Z', CA: lastStatusDate '20210313185232'
+const toStatusTime = (raw) => {
+	if (raw.time) return raw.time;
+	if (raw.lastStatusDate) return raw.lastStatusDate;
+	if (raw.dateTime) return new Date(raw.dateTime).toISOString().replace(/[^0-9]/g, '').substring(0, 14);
+	return undefined;
+};
+
+const normalizeStatus = (region, status) => {
+	if (!status || region === 'EU') return status;
+	const raw = status.status && status.status.doorOpen ? status.status : status; // CA may wrap the status
+	const lamps = raw.tirePressureLamp || {};
+	const normalized = {
+		...raw,
+		time: toStatusTime(raw),
+		doorOpen: raw.doorOpen || {},
+		airTemp: { ...raw.airTemp, value: toTempCode(raw.airTemp), unit: 0 },
+		tirePressureLamp: {
+			tirePressureLampAll: lamps.tirePressureLampAll || lamps.tirePressureWarningLampAll || 0,
+			tirePressureLampFL: lamps.tirePressureLampFL || lamps.tirePressureWarningLampFrontLeft || 0,
+			tirePressureLampFR: lamps.tirePressureLampFR || lamps.tirePressureWarningLampFrontRight || 0,
+			tirePressureLampRL: lamps.tirePressureLampRL || lamps.tirePressureWarningLampRearLeft || 0,
+			tirePressureLampRR: lamps.tirePressureLampRR || lamps.tirePressureWarningLampRearRight || 0,
+		},
+	};
+	if (raw.evStatus) {
+		const drvDistance = raw.evStatus.drvDistance && raw.evStatus.drvDistance[0] && raw.evStatus.drvDistance[0].rangeByFuel
+			? raw.evStatus.drvDistance
+			: [{ rangeByFuel: { totalAvailableRange: raw.dte || { value: 0, unit: 1 } }, type: 2 }];
+		normalized.evStatus = { ...raw.evStatus, drvDistance };
+	}
+	if (!normalized.dte) normalized.dte = { value: 0, unit: 1 };
+	return normalized;
+};
+
+// CA returns the raw findMyCar result; EU and US are already parsed by kuvork
+const normalizeLocation = (region, location) => {
+	if (!location || !location.coord) return location;
+	return {
+		latitude: location.coord.lat,
+		longitude: location.coord.lon,
+		altitude: location.coord.alt,
+		speed: location.speed || { value: 0, unit: 0 },
+		heading: location.head,
+	};
+};
+
+// the climate start options of kuvork: EU takes temperature in °C, US airTempvalue in °F, CA airTempvalue in °C in steps of 0.5
+const startOptions = (region, options) => {
+	if (region === 'EU') return options;
+	const { temperature, ...rest } = options;
+	const celsius = Math.min(Math.max(Math.round((Number(temperature) || 22) * 2) / 2, 14), 30);
+	return {
+		...rest,
+		airTempvalue: region === 'US' ? Math.round(((celsius * 9) / 5) + 32) : celsius,
+	};
+};
+
+module.exports.features = features;
+module.exports.startOptions = startOptions;
+module.exports.normalizeStatus = normalizeStatus;
+module.exports.normalizeLocation = normalizeLocation;
@@ -0,0 +1,109 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// SessionRecorder keeps the raw kuvork responses of one car, to reproduce a bug by replaying them later.
+// Personal data is redacted by key before an entry is kept: the values of the VIN, car id, credentials and tokens are replaced,
+// and coordinates are moved so the first recorded location becomes 0,0. Distances and movement stay as recorded.
+// Other values are kept as they are, so a status value that happens to contain e.g. the PIN digits is not changed.
+// entry: { time, call, args, response } or { time, call, args, error }
+// call 'poll' holds the input of a VehicleStatus: { status, location, odometer, region }, and is what a replay feeds back.
+
+const secretKeys = [
+	'vin', 'id', 'idorg', 'vehicleid', 'nickname', 'username', 'password', 'pin', 'email',
+	'deviceid', 'uuid', 'pushregid', 'accesstoken', 'refreshtoken', 'controltoken', 'authorization',
+];
+const latitudeKeys = ['lat', 'latitude'];
+const longitudeKeys = ['lon', 'lng', 'longitude'];
+
+class SessionRecorder {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.maxEntries = options.maxEntries || 300;
+		this.started = Date.now();
+		this.entries = [];
+		this.origin = null; // { latitude, longitude } of the first recorded location
+	}
+
+	redactCoordinate(key, value) {
+		if (!this.origin) this.origin = { latitude: null, longitude: null };
+		const axis = latitudeKeys.includes(key) ? 'latitude' : 'longitude';
+		if (this.origin[axis] === null) this.origin[axis] = value;
+		return Math.round((value - this.origin[axis]) * 1000000) / 1000000;
+	}
+
+	redact(data, key) {
+		if (data === null || data === undefined) return data;
+		if (key && secretKeys.includes(`${key}`.toLowerCase())) return '***';
+		if (typeof data === 'number' && (latitudeKeys.includes(key) || longitudeKeys.includes(key))) return this.redactCoordinate(key, data);
+		if (Array.isArray(data)) return data.map((item) => this.redact(item));
+		if (typeof data === 'object') {
+			return Object.keys(data).reduce((redacted, field) => ({ ...redacted, [field]: this.redact(data[field], field) }), {});
+		}
+		return data;
+	}
+
+	record(call, args, response) {
+		if (this.entries.length >= this.maxEntries) this.entries.shift();
+		this.entries.push({
+			time: Date.now(),
+			call,
+			args: this.redact(args),
+			response: this.redact(response),
+		});
+	}
+
+	recordError(call, args, error) {
+		if (this.entries.length >= this.maxEntries) this.entries.shift();
+		this.entries.push({
+			time: Date.now(),
+			call,
+			args: this.redact(args),
+			error: this.redact(error && error.body ? error.body : `${(error && error.message) || error}`),
+		});
+	}
+
+	// returns { filename, mimeType, data }
+	toFile(name) {
+		const file = {
+			app: 'com.gruijter.hyundai_kia',
+			started: new Date(this.started).toISOString(),
+			entries: this.entries,
+		};
+		return {
+			filename: `${(name || 'session').replace(/[^a-zA-Z0-9-_]/g, '_')}.json`,
+			mimeType: 'application/json',
+			data: JSON.stringify(file, null, 2),
+		};
+	}
+
+	// session file (object or JSON) > the poll entries, oldest first
+	static polls(file) {
+		const session = typeof file === 'string' ? JSON.parse(file) : file;
+		if (!session || !Array.isArray(session.entries)) throw Error('Not a recorded session');
+		return session.entries
+			.filter((entry) => entry.call === 'poll' && entry.response && entry.response.status)
+			.sort((a, b) => a.time - b.time);
+	}
+
+}
+
+module.exports = SessionRecorder;
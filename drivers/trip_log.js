@@ -0,0 +1,106 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// TripLog keeps the trips of one car. A trip is opened when the car starts moving, and closed when the car has parked.
+// start and end points: { time, latitude, longitude, address, odometer, soc }
+// track samples: { time, latitude, longitude, altitude, heading, speed }
+class TripLog {
+
+	constructor(opts) {
+		this.maxTrips = opts.maxTrips || 100;
+		this.maxSamples = opts.maxSamples || 500;
+		this.trips = opts.trips || [];
+		this.openTrip = opts.openTrip || null;
+	}
+
+	isOpen() {
+		return !!this.openTrip;
+	}
+
+	open(start) {
+		this.openTrip = {
+			id: `${start.time}`,
+			start,
+			track: [],
+		};
+		return this.openTrip;
+	}
+
+	addSample(sample) {
+		if (!this.openTrip) return false;
+		const { track } = this.openTrip;
+		const last = track[track.length - 1];
+		// skip server info that did not change since the last poll
+		if (last && last.latitude === sample.latitude && last.longitude === sample.longitude && last.speed === sample.speed) return false;
+		if (track.length >= this.maxSamples) track.shift();
+		track.push(sample);
+		return true;
+	}
+
+	close(end) {
+		if (!this.openTrip) return null;
+		const { id, start, track } = this.openTrip;
+		const duration = Math.max(end.time - start.time, 0) / 1000 / 60; // minutes
+		const distance = (Number.isFinite(end.odometer) && Number.isFinite(start.odometer))
+			? Math.round((end.odometer - start.odometer) * 10) / 10 : null;
+		const socDelta = (Number.isFinite(end.soc) && Number.isFinite(start.soc)) ? end.soc - start.soc : null;
+		const avgSpeed = (distance !== null && duration > 0) ? Math.round((distance / (duration / 60)) * 10) / 10 : null;
+		const maxSpeed = track.reduce((max, sample) => Math.max(max, sample.speed || 0), 0);
+		const trip = {
+			id,
+			start,
+			end,
+			duration: Math.round(duration),
+			distance,
+			socDelta,
+			avgSpeed,
+			maxSpeed,
+			track,
+		};
+		if (this.trips.length >= this.maxTrips) this.trips.shift();
+		this.trips.push(trip);
+		this.openTrip = null;
+		return trip;
+	}
+
+	// query: { from, to, limit } with from and to in ms since epoch
+	getTrips(query) {
+		const from = Number(query && query.from) || 0;
+		const to = Number(query && query.to) || Infinity;
+		const limit = Number(query && query.limit) || this.maxTrips;
+		return this.trips
+			.filter((trip) => trip.start.time >= from && trip.start.time <= to)
+			.slice(-limit);
+	}
+
+	getTrip(id) {
+		return this.trips.find((trip) => trip.id === `${id}`);
+	}
+
+	deleteTrips() {
+		this.trips = [];
+		this.openTrip = null;
+		return true;
+	}
+
+}
+
+module.exports = TripLog;
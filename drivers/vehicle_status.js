@@ -0,0 +1,170 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+const climateOptions = require('./climate_options');
+
+// unit codes used by the Kia/Hyundai servers
+const distanceUnits = {
+	0: 'km',
+	1: 'km',
+	2: 'm',
+	3: 'mi',
+};
+const speedUnits = {
+	0: 'km/h',
+	1: 'mph',
+};
+
+const MILE = 1.609344;
+
+// estimated charge time per charger type in evStatus.remainTime2 (batteryPlugin 1 = fast, 2 = portable, 3 = station)
+const remainTimeKeys = {
+	1: 'etc1',
+	2: 'etc2',
+	3: 'etc3',
+};
+
+// { value, unit } > km. US odometers are reported in miles with unit 0.
+const toKm = (distance, milesDefault) => {
+	if (!distance || !Number.isFinite(Number(distance.value))) return null;
+	const unit = distance.unit === 0 && milesDefault ? 'mi' : distanceUnits[distance.unit] || 'km';
+	const value = Number(distance.value);
+	if (unit === 'mi') return Math.round(value * MILE * 10) / 10;
+	if (unit === 'm') return Math.round(value / 100) / 10;
+	return value;
+};
+
+// { value, unit } > km/h
+const toKmh = (speed) => {
+	if (!speed || !Number.isFinite(Number(speed.value))) return null;
+	const value = Number(speed.value);
+	return speedUnits[speed.unit] === 'mph' ? Math.round(value * MILE) : value;
+};
+
+// get a nested value, or undefined when any part of the path is missing
+const pick = (obj, path) => path.split('.').reduce((part, key) => (part === undefined || part === null ? undefined : part[key]), obj);
+
+// VehicleStatus parses the raw kuvork status, location and odometer once, in metric units.
+// Raw US and CA payloads must be normalized to the EU shape first (see region_status.js).
+// Fields that the car did not report are null and listed in missing.
+class VehicleStatus {
+
+	constructor({
+		status, location, odometer, region,
+	}) {
+		const raw = status || {};
+		const ev = raw.evStatus;
+		const milesDefault = region === 'US';
+		this.missing = [];
+		const get = (name, path, parse) => {
+			const value = pick(raw, path);
+			if (value === undefined || value === null) {
+				this.missing.push(name);
+				return null;
+			}
+			return parse ? parse(value) : value;
+		};
+
+		this.time = raw.time || null;
+		this.engine = !!raw.engine;
+		this.locked = !!raw.doorLock;
+		this.doorsOpen = Object.keys(raw.doorOpen || {}).reduce((doors, door) => ({ ...doors, [door]: !!raw.doorOpen[door] }), {});
+		this.windowsOpen = raw.windowOpen // not reported by all cars
+			? Object.keys(raw.windowOpen).reduce((windows, window) => ({ ...windows, [window]: !!raw.windowOpen[window] }), {})
+			: null;
+		this.trunkOpen = !!raw.trunkOpen;
+		this.hoodOpen = !!raw.hoodOpen;
+		this.closedLocked = this.locked && !this.trunkOpen && !this.hoodOpen && !Object.values(this.doorsOpen).some((open) => open);
+		this.climateOn = !!raw.airCtrlOn;
+		this.defrost = !!raw.defrost;
+		this.targetTemperature = get('targetTemperature', 'airTemp.value', (code) => {
+			try {
+				return convert.getTempFromCode(code);
+			} catch (error) {
+				return null;
+			}
+		});
+		this.steeringWheelHeat = !!raw.steerWheelHeat;
+		this.rearWindowHeat = !!raw.sideBackWindowHeat;
+		const seatState = raw.seatHeaterVentState; // only reported by cars with seat climate
+		this.seats = seatState
+			? {
+				driver: climateOptions.seatLevelFromCode(seatState.flSeatHeatState),
+				passenger: climateOptions.seatLevelFromCode(seatState.frSeatHeatState),
+				rear_left: climateOptions.seatLevelFromCode(seatState.rlSeatHeatState),
+				rear_right: climateOptions.seatLevelFromCode(seatState.rrSeatHeatState),
+			}
+			: null;
+		this.tirePressureAlarm = !!pick(raw, 'tirePressureLamp.tirePressureLampAll');
+		this.tirePressureWheels = {
+			front_left: !!pick(raw, 'tirePressureLamp.tirePressureLampFL'),
+			front_right: !!pick(raw, 'tirePressureLamp.tirePressureLampFR'),
+			rear_left: !!pick(raw, 'tirePressureLamp.tirePressureLampRL'),
+			rear_right: !!pick(raw, 'tirePressureLamp.tirePressureLampRR'),
+		};
+		this.battery12V = get('battery12V', 'battery.batSoc');
+		this.battery12VState = pick(raw, 'battery.batState');
+
+		// EV
+		this.isEV = !!ev;
+		this.soc = ev ? get('soc', 'evStatus.batteryStatus') : null;
+		this.charging = ev ? !!ev.batteryCharge : false;
+		this.plugged = ev ? ev.batteryPlugin || 0 : 0; // 0 = none, 1 = fast (DC), 2 = portable (AC), 3 = station (AC)
+		const targetSOClist = pick(raw, 'evStatus.reservChargeInfos.targetSOClist') || [];
+		const chargeLimitDC = targetSOClist.find((target) => target.plugType === 0);
+		const chargeLimitAC = targetSOClist.find((target) => target.plugType === 1);
+		this.chargeLimitAC = chargeLimitAC ? chargeLimitAC.targetSOClevel : null;
+		this.chargeLimitDC = chargeLimitDC ? chargeLimitDC.targetSOClevel : null;
+		// minutes until the charge limit is reached with the charger in use. atc is the car's own estimate for the running charge.
+		const remainTime = ev ? ev.remainTime2 : null;
+		const estimate = remainTime && this.charging ? remainTime[remainTimeKeys[this.plugged]] || remainTime.atc : null;
+		this.timeToFull = estimate ? estimate.value : 0;
+		this.reservChargeInfos = ev ? ev.reservChargeInfos || null : null;
+
+		// distances in km
+		const range = ev
+			? pick(raw, 'evStatus.drvDistance.0.rangeByFuel.totalAvailableRange')
+			: raw.dte;
+		this.range = toKm(range);
+		if (this.range === null) this.missing.push('range');
+		this.odometer = toKm(odometer, milesDefault);
+		if (this.odometer === null) this.missing.push('odometer');
+
+		// location, speed in km/h
+		const loc = location || {};
+		this.location = {
+			latitude: Number.isFinite(loc.latitude) ? loc.latitude : null,
+			longitude: Number.isFinite(loc.longitude) ? loc.longitude : null,
+			altitude: Number.isFinite(loc.altitude) ? loc.altitude : null,
+			speed: toKmh(loc.speed) || 0,
+			heading: Number.isFinite(loc.heading) ? loc.heading : null,
+		};
+		if (this.location.latitude === null || this.location.longitude === null) this.missing.push('location');
+	}
+
+	hasLocation() {
+		return !this.missing.includes('location');
+	}
+
+}
+
+module.exports = VehicleStatus;
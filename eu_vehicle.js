@@ -0,0 +1,180 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const climateOptions = require('./drivers/climate_options');
+
+const apiHosts = {
+	H: 'prd.eu-ccapi.hyundai.com',
+	K: 'prd.eu-ccapi.kia.com',
+};
+const apiPort = 8080;
+
+const stampFiles = {
+	H: 'european.hyundai.token.collection.js',
+	K: 'european.kia.token.collection.js',
+};
+const stamps = {};
+
+// kuvork does not export its stamp collections, so read them from the package once
+const getStamp = (brand) => {
+	if (!stamps[brand]) {
+		const file = path.join(path.dirname(require.resolve('kuvork')), 'tools', stampFiles[brand] || stampFiles.K);
+		stamps[brand] = fs.readFileSync(file, 'utf8')
+			.match(/"[A-Za-z0-9+/=]{20,}"/g)
+			.map((stamp) => stamp.replace(/"/g, ''));
+	}
+	return stamps[brand][Math.floor(Math.random() * stamps[brand].length)];
+};
+
+// EuVehicle adds remote commands to a logged in kuvork EU vehicle that kuvork itself does not offer, or offers with fewer options
+class EuVehicle {
+
+	constructor(opts) {
+		this.vehicle = opts.vehicle;
+		this.timeout = opts.timeout || 15000;
+		this.lastResponse = undefined;
+		if (!this.vehicle || this.vehicle.region !== 'EU') throw Error('EU vehicle is required');
+	}
+
+	static isValidChargeTarget(level) {
+		return Number.isInteger(level) && level >= 50 && level <= 100 && level % 10 === 0;
+	}
+
+	// targets: { ac, dc } in %
+	async setChargeTargets(targets) {
+		try {
+			if (!EuVehicle.isValidChargeTarget(targets.ac) || !EuVehicle.isValidChargeTarget(targets.dc)) {
+				throw Error('Charge limit must be 50-100% in steps of 10%');
+			}
+			const body = {
+				targetSOClist: [
+					{ plugType: 0, targetSOClevel: targets.dc },
+					{ plugType: 1, targetSOClevel: targets.ac },
+				],
+			};
+			const result = await this._makeRequest('POST', '/charge/target', body);
+			return Promise.resolve(result);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	// reservations: { reservChargeInfo, reserveChargeInfo2, offpeakPowerInfo, reservFlag } as built by drivers/departure_timers.js
+	async setReservations(reservations) {
+		try {
+			const body = { ...reservations, deviceId: this.vehicle.controller.session.deviceId };
+			const result = await this._makeRequest('POST', '/reservation/charge', body);
+			return Promise.resolve(result);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	// replaces the kuvork start to add the steering wheel, rear window and seat options
+	// config: { temperature, defrost, windscreenHeating, steeringWheel, rearWindow, seats }, see drivers/climate_options.js
+	async start(config) {
+		try {
+			const heating = !!config.windscreenHeating;
+			const options = {
+				temperature: config.temperature,
+				defrost: !!config.defrost,
+				steeringWheel: config.steeringWheel === undefined ? heating : !!config.steeringWheel,
+				rearWindow: config.rearWindow === undefined ? heating : !!config.rearWindow,
+				seats: config.seats,
+			};
+			const result = await this._makeRequest('POST', '/control/temperature', climateOptions.buildStart(options));
+			return Promise.resolve(result);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	async _makeRequest(method, endpoint, message) {
+		try {
+			// refreshes the access token, and enters the PIN when the control token has expired
+			await this.vehicle.checkControlToken();
+			const { session, userConfig } = this.vehicle.controller;
+			const postData = message ? JSON.stringify(message) : '';
+			const headers = {
+				Authorization: session.controlToken,
+				'ccsp-device-id': session.deviceId,
+				'Content-Type': 'application/json',
+				'content-length': Buffer.byteLength(postData),
+				Stamp: getStamp(userConfig.brand),
+			};
+			const options = {
+				hostname: apiHosts[userConfig.brand] || apiHosts.K,
+				port: apiPort,
+				path: `/api/v2/spa/vehicles/${this.vehicle.vehicleConfig.id}${endpoint}`,
+				headers,
+				method,
+			};
+			const result = await this._makeHttpsRequest(options, postData);
+			let body;
+			try {
+				body = JSON.parse(result.body);
+			} catch (error) {
+				body = result.body;
+			}
+			if (result.statusCode !== 200) {
+				const error = Error(`${result.statusCode} ${result.body}`);
+				error.body = body; // e.g. { retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests' }
+				throw error;
+			}
+			return Promise.resolve(body);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	_makeHttpsRequest(options, postData, timeout) {
+		return new Promise((resolve, reject) => {
+			const req = https.request(options, (res) => {
+				let resBody = '';
+				res.on('data', (chunk) => {
+					resBody += chunk;
+				});
+				res.once('end', () => {
+					if (!res.complete) {
+						return reject(Error('The connection was terminated while the message was still being sent'));
+					}
+					res.body = resBody;
+					return resolve(res); // resolve the request
+				});
+			});
+			req.on('error', (e) => {
+				req.abort();
+				this.lastResponse = e;
+				return reject(e);
+			});
+			req.setTimeout(timeout || this.timeout, () => {
+				req.abort();
+			});
+			req.end(postData);
+		});
+	}
+
+}
+
+module.exports = EuVehicle;
@@ -0,0 +1,80 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const GeoPoint = require('geopoint');
+
+// A zone is a named circle or polygon:
+// circle: { id, name, type: 'circle', latitude, longitude, radius } with radius in meters
+// polygon: { id, name, type: 'polygon', points: [{ latitude, longitude }, ...] }
+
+// distance between two locations in meters
+const distance = (from, to) => {
+	const fromPoint = new GeoPoint(Number(from.latitude), Number(from.longitude));
+	const toPoint = new GeoPoint(Number(to.latitude), Number(to.longitude));
+	return fromPoint.distanceTo(toPoint, true) * 1000;
+};
+
+// ray casting on the lat/lon plane. Good enough for zones that do not cross the date line.
+const inPolygon = (points, location) => {
+	const x = Number(location.longitude);
+	const y = Number(location.latitude);
+	let inside = false;
+	for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+		const xi = Number(points[i].longitude);
+		const yi = Number(points[i].latitude);
+		const xj = Number(points[j].longitude);
+		const yj = Number(points[j].latitude);
+		const intersect = ((yi > y) !== (yj > y)) && (x < ((xj - xi) * (y - yi)) / (yj - yi) + xi);
+		if (intersect) inside = !inside;
+	}
+	return inside;
+};
+
+const isInZone = (zone, location) => {
+	if (!zone || !location || !Number.isFinite(Number(location.latitude)) || !Number.isFinite(Number(location.longitude))) return false;
+	if (zone.type === 'polygon') return inPolygon(zone.points || [], location);
+	return distance(zone, location) <= Number(zone.radius);
+};
+
+// all zones that contain the location
+const getZones = (zones, location) => (zones || []).filter((zone) => isInZone(zone, location));
+
+const validateZone = (zone) => {
+	if (!zone || !zone.id || !zone.name) throw Error('Zone needs an id and a name');
+	if (zone.type === 'polygon') {
+		if (!Array.isArray(zone.points) || zone.points.length < 3) throw Error(`Zone ${zone.name} needs at least 3 points`);
+		zone.points.forEach((point) => {
+			if (!Number.isFinite(Number(point.latitude)) || !Number.isFinite(Number(point.longitude))) {
+				throw Error(`Zone ${zone.name} has an invalid point`);
+			}
+		});
+		return true;
+	}
+	if (zone.type !== 'circle') throw Error(`Zone ${zone.name} has an unknown type: ${zone.type}`);
+	if (!Number.isFinite(Number(zone.latitude)) || !Number.isFinite(Number(zone.longitude))) throw Error(`Zone ${zone.name} has an invalid center`);
+	if (!(Number(zone.radius) > 0)) throw Error(`Zone ${zone.name} needs a radius larger than 0`);
+	return true;
+};
+
+module.exports.distance = distance;
+module.exports.isInZone = isInZone;
+module.exports.getZones = getZones;
+module.exports.validateZone = validateZone;
@@ -0,0 +1,97 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const day = 24 * 60 * 60 * 1000;
+
+// requests per account in 24 hours, before the Kia/Hyundai server locks the account
+const defaultQuotas = {
+	server: 200,	// every call to the server, including the car refreshes and commands
+	refresh: 30,	// status refreshes that wake up the car
+};
+const reserve = 0.2;	// below this part of the quota, only forced polls and user commands go through
+
+// RequestBudget counts the requests of all cars of an account in a rolling 24 hour window.
+// accounts: { [key]: { server: [time, ...], refresh: [time, ...], blockedUntil } }
+class RequestBudget {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.quotas = { ...defaultQuotas, ...options.quotas };
+		this.accounts = options.accounts || {};
+	}
+
+	static accountKey({ username, region, brand }) {
+		return `${brand}:${region}:${`${username}`.toLowerCase()}`;
+	}
+
+	account(key) {
+		const since = Date.now() - day;
+		const account = this.accounts[key] || { server: [], refresh: [], blockedUntil: 0 };
+		account.server = account.server.filter((time) => time > since);
+		account.refresh = account.refresh.filter((time) => time > since);
+		this.accounts[key] = account;
+		return account;
+	}
+
+	// kind: server or refresh. A refresh also counts as server request.
+	record(key, kind, count) {
+		const account = this.account(key);
+		const now = Date.now();
+		for (let i = 0; i < (count || 1); i += 1) {
+			account.server.push(now);
+			if (kind === 'refresh') account.refresh.push(now);
+		}
+	}
+
+	remaining(key) {
+		const account = this.account(key);
+		return {
+			server: Math.max(this.quotas.server - account.server.length, 0),
+			refresh: Math.max(this.quotas.refresh - account.refresh.length, 0),
+			blockedUntil: account.blockedUntil > Date.now() ? account.blockedUntil : null,
+		};
+	}
+
+	// pause all requests of the account, e.g. after a 5091 'Exceeds number of requests'
+	block(key, minutes) {
+		this.account(key).blockedUntil = Date.now() + minutes * 60 * 1000;
+	}
+
+	// forced: a refresh asked for by the user or a flow
+	canRefresh(key, forced) {
+		const { refresh, blockedUntil } = this.remaining(key);
+		if (blockedUntil) return false;
+		return forced ? refresh > 0 : refresh > this.quotas.refresh * reserve;
+	}
+
+	// returns run, defer (polls only) or the reason to reject the command
+	check(key, { command, args }) {
+		const { server, blockedUntil } = this.remaining(key);
+		const isPoll = command === 'doPoll';
+		if (blockedUntil) return isPoll ? 'defer' : `account is blocked by the server until ${new Date(blockedUntil).toISOString()}`;
+		if (server <= 0) return isPoll ? 'defer' : 'the daily request budget is used up';
+		if (isPoll && !args && server <= this.quotas.server * reserve) return 'defer';
+		return 'run';
+	}
+
+}
+
+module.exports = RequestBudget;
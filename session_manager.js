@@ -0,0 +1,138 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const Uvo = require('kuvork');
+const RequestBudget = require('./request_budget');
+
+// the kuvork session fields that are kept in the device store, so a restart does not need a new login
+const tokenFields = ['accessToken', 'refreshToken', 'controlToken', 'deviceId', 'tokenExpiresAt', 'controlTokenExpiresAt'];
+
+// SessionManager keeps one logged in kuvork client per account (username, region and brand),
+// shared by all cars of that account. A full login is only done when the tokens cannot be refreshed.
+class SessionManager {
+
+	constructor(opts) {
+		const options = opts || {};
+		this.onRequests = options.onRequests || (() => null); // (key, count)
+		this.log = options.log || (() => null);
+		this.createClient = options.createClient || ((clientOptions) => new Uvo(clientOptions)); // the tests use a mock back-end
+		this.sessions = {};
+	}
+
+	// options: { username, password, region, pin, brand }, tokens: as returned by getTokens
+	getSession(options, tokens) {
+		const key = RequestBudget.accountKey(options);
+		const existing = this.sessions[key];
+		if (existing && existing.password === options.password && existing.pin === options.pin) return existing;
+		const session = {
+			key,
+			password: options.password,
+			pin: options.pin,
+			client: this.createClient({ ...options, autoLogin: false }),
+			vehicles: [],
+			users: existing ? existing.users : new Set(),
+			loginPromise: null,
+			loginError: null,
+		};
+		// the stored deviceId is also sent on a full login, so the server sees the same phone again
+		if (tokens) Object.assign(session.client.controller.session, tokens);
+		session.client.on('ready', (vehicles) => {
+			session.vehicles = vehicles;
+		});
+		session.client.on('error', (error) => {
+			session.loginError = error;
+		});
+		this.sessions[key] = session;
+		return session;
+	}
+
+	getTokens(key) {
+		const session = this.sessions[key];
+		if (!session) return null;
+		const current = session.client.controller.session;
+		return tokenFields.reduce((tokens, field) => ({ ...tokens, [field]: current[field] }), {});
+	}
+
+	// refreshes the access token when it expired, and gets the vehicles when there are none yet
+	async resume(key) {
+		const session = this.sessions[key];
+		const { controller } = session.client;
+		if (!controller.session.refreshToken) throw Error('no refresh token');
+		const expired = (Date.now() / 1000) >= (controller.session.tokenExpiresAt - 10);
+		if (expired) {
+			this.onRequests(session.key, 1);
+			await controller.refreshAccessToken();
+			if ((Date.now() / 1000) >= (controller.session.tokenExpiresAt - 10)) throw Error('refresh token expired');
+		}
+		if (!session.vehicles.length) {
+			this.onRequests(session.key, 1);
+			session.vehicles = await controller.getVehicles() || [];
+			if (!session.vehicles.length) throw Error('no vehicles with the stored tokens');
+		}
+		return session.vehicles;
+	}
+
+	async fullLogin(key) {
+		const session = this.sessions[key];
+		this.log(`logging in to account ${session.key}`);
+		this.onRequests(session.key, 2);	// login and vehicle list
+		session.loginError = null;
+		await session.client.login();	// kuvork emits ready or error, and does not throw
+		if (session.loginError) throw session.loginError;
+		return session.vehicles;
+	}
+
+	// cars that ask at the same time share one login. Resolves with the vehicles of the account.
+	login(key, force) {
+		const session = this.sessions[key];
+		if (!session) return Promise.reject(Error('No session for this account'));
+		if (session.loginPromise) return session.loginPromise;
+		const resume = force ? Promise.reject(Error('login forced')) : this.resume(key);
+		session.loginPromise = resume
+			.catch((error) => {
+				if (!force) this.log(`session of ${key} cannot be resumed: ${error.message || error}`);
+				return this.fullLogin(key);
+			})
+			.finally(() => {
+				session.loginPromise = null;
+			});
+		return session.loginPromise;
+	}
+
+	// resolves with the kuvork vehicle of the car, or undefined when the account has no car with this vin
+	async getVehicle(options, vin, deviceId, tokens) {
+		const session = this.getSession(options, tokens);
+		session.users.add(deviceId);
+		const vehicles = await this.login(session.key);
+		return vehicles.find((vehicle) => vehicle.vehicleConfig.vin === vin);
+	}
+
+	// the session is dropped when the last car of the account is gone
+	release(key, deviceId) {
+		const session = this.sessions[key];
+		if (!session) return;
+		session.users.delete(deviceId);
+		if (!session.users.size) delete this.sessions[key];
+	}
+
+}
+
+module.exports = SessionManager;
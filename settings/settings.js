@@ -1,6 +1,20 @@
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-undef */
 
+// names, addresses and messages come from the user and the car, and go into the HTML as text only
+function escapeHtml(value) {
+	return `${value === undefined || value === null ? '' : value}`
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function carOptions(cars) {
+	return cars.map((car) => `<option value="${escapeHtml(car.id)}">${escapeHtml(car.name)}</option>`).join('');
+}
+
 // tab 2 stuff here
 function displayLogs(lines) {
 	$('#loglines').html(lines);
@@ -55,9 +69,360 @@ function deleteLogs() {
 	});
 }
 
+// tab 3 stuff here
+function displayTrips(lines) {
+	$('#triplines').html(lines);
+}
+
+function updateTrips() {
+	try {
+		displayTrips('');
+		const id = $('#trip_car').val();
+		if (!id) return;
+		Homey.api('GET', `trips?id=${encodeURIComponent(id)}`, null, (err, result) => {
+			if (!err) {
+				let lines = '';
+				result
+					.reverse()
+					.forEach((trip) => {
+						const start = new Date(trip.start.time).toLocaleString();
+						const end = new Date(trip.end.time).toLocaleString();
+						lines += `<b>${escapeHtml(start)} - ${escapeHtml(end)}</b><br />`;
+						lines += `${escapeHtml(trip.start.address || '-?-')} &gt; ${escapeHtml(trip.end.address || '-?-')}<br />`;
+						lines += `${escapeHtml(trip.distance)} km, ${escapeHtml(trip.duration)} min, ${escapeHtml(trip.avgSpeed)} km/h, `
+							+ `SoC ${escapeHtml(trip.socDelta)}%<br /><br />`;
+					});
+				displayTrips(lines);
+			} else {
+				displayTrips(escapeHtml(err.message || err));
+			}
+		});
+	} catch (e) {
+		displayTrips(escapeHtml(e.message || e));
+	}
+}
+
+function loadTripCars() {
+	Homey.api('GET', 'devices/', null, (err, result) => {
+		if (err) {
+			displayTrips(escapeHtml(err.message || err));
+			return;
+		}
+		$('#trip_car').html(carOptions(result));
+		updateTrips();
+	});
+}
+
+function exportTrips() {
+	const id = $('#trip_car').val();
+	if (!id) return;
+	const format = $('#trip_format').val();
+	Homey.api('GET', `export?id=${encodeURIComponent(id)}&format=${format}`, null, (err, result) => {
+		if (err) {
+			Homey.alert(err.message || err, 'error');
+			return;
+		}
+		const blob = new Blob([result.data], { type: result.mimeType });
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = result.filename;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(link.href);
+	});
+}
+
+function deleteTrips() {
+	const id = $('#trip_car').val();
+	if (!id) return;
+	Homey.confirm(Homey.__('settings.tab3.deleteWarning'), 'warning', (error, result) => {
+		if (result) {
+			Homey.api('GET', `deletetrips?id=${encodeURIComponent(id)}`, null, (err) => {
+				if (err) {
+					Homey.alert(err.message, 'error');
+				} else {
+					Homey.alert(Homey.__('settings.tab3.deleted'), 'info');
+					updateTrips();
+				}
+			});
+		}
+	});
+}
+
+// tab 4 stuff here
+let zones = [];
+
+function parsePoint(str) {
+	const [latitude, longitude] = str.split(',').map((value) => Number(value.trim()));
+	if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) throw Error(`${Homey.__('settings.tab4.invalidPoint')} ${str}`);
+	return { latitude, longitude };
+}
+
+function displayZones() {
+	let lines = '';
+	zones.forEach((zone, index) => {
+		const shape = zone.type === 'polygon'
+			? `${zone.points.length} ${Homey.__('settings.tab4.pointsShort')}`
+			: `${zone.latitude},${zone.longitude} ${zone.radius}m`;
+		lines += `<b>${escapeHtml(zone.name)}</b> (${escapeHtml(shape)}) <button class="btn" onclick="deleteZone(${index})">X</button><br />`;
+	});
+	$('#zonelines').html(lines);
+}
+
+function loadZones() {
+	Homey.get('zones', (err, result) => {
+		if (err) {
+			Homey.alert(err.message || err, 'error');
+			return;
+		}
+		zones = result || [];
+		displayZones();
+	});
+}
+
+function saveZones() {
+	Homey.set('zones', zones, (err) => {
+		if (err) Homey.alert(err.message || err, 'error');
+		displayZones();
+	});
+}
+
+function addZone() {
+	try {
+		const name = $('#zone_name').val().trim();
+		if (!name) throw Error(Homey.__('settings.tab4.nameRequired'));
+		const zone = { id: Date.now().toString(36), name, type: $('#zone_type').val() };
+		if (zone.type === 'polygon') {
+			zone.points = $('#zone_points').val()
+				.split(';')
+				.filter((point) => point.trim())
+				.map(parsePoint);
+			if (zone.points.length < 3) throw Error(Homey.__('settings.tab4.pointsRequired'));
+		} else {
+			const center = parsePoint($('#zone_center').val());
+			zone.latitude = center.latitude;
+			zone.longitude = center.longitude;
+			zone.radius = Number($('#zone_radius').val());
+			if (!(zone.radius > 0)) throw Error(Homey.__('settings.tab4.radiusRequired'));
+		}
+		zones.push(zone);
+		saveZones();
+	} catch (error) {
+		Homey.alert(error.message, 'error');
+	}
+}
+
+function deleteZone(index) {
+	Homey.confirm(`${Homey.__('settings.tab4.deleteWarning')} ${zones[index].name}?`, 'warning', (error, result) => {
+		if (result) {
+			zones.splice(index, 1);
+			saveZones();
+		}
+	});
+}
+
+// tab 5 stuff here
+const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+let timerModel = null;
+
+function displayTimerInfo(info) {
+	$('#timerinfo').text(info);
+}
+
+function displayTimers(model) {
+	timerModel = model;
+	model.timers.forEach((timer) => {
+		$(`#timer${timer.id}_enabled`).prop('checked', timer.enabled);
+		$(`#timer${timer.id}_time`).val(timer.time);
+		$(`#timer${timer.id}_days`).val(timer.days.map((day) => dayNames[day]).join(','));
+		$(`#timer${timer.id}_climate`).prop('checked', timer.climate.enabled);
+		$(`#timer${timer.id}_defrost`).prop('checked', timer.climate.defrost);
+		$(`#timer${timer.id}_temperature`).val(timer.climate.temperature || 21);
+	});
+	$('#offpeak_mode').val(model.offPeak.mode);
+	$('#offpeak_start').val(model.offPeak.start);
+	$('#offpeak_end').val(model.offPeak.end);
+}
+
+function updateTimers() {
+	displayTimerInfo('');
+	const id = $('#timer_car').val();
+	if (!id) return;
+	Homey.api('GET', `timers?id=${encodeURIComponent(id)}`, null, (err, result) => {
+		if (err) {
+			displayTimerInfo(err.message || err);
+			return;
+		}
+		displayTimers(result);
+	});
+}
+
+function loadTimerCars() {
+	Homey.api('GET', 'devices/', null, (err, result) => {
+		if (err) {
+			displayTimerInfo(err.message || err);
+			return;
+		}
+		$('#timer_car').html(carOptions(result));
+		updateTimers();
+	});
+}
+
+function readTimer(id) {
+	const days = $(`#timer${id}_days`).val()
+		.toLowerCase()
+		.split(/[\s,;]+/)
+		.filter((day) => day)
+		.map((day) => (dayNames.includes(day.substring(0, 3)) ? dayNames.indexOf(day.substring(0, 3)) : Number(day)));
+	return {
+		id,
+		enabled: $(`#timer${id}_enabled`).prop('checked'),
+		days,
+		time: $(`#timer${id}_time`).val(),
+		climate: {
+			enabled: $(`#timer${id}_climate`).prop('checked'),
+			temperature: Number($(`#timer${id}_temperature`).val()),
+			defrost: $(`#timer${id}_defrost`).prop('checked'),
+			heating: timerModel ? timerModel.timers[id - 1].climate.heating : false,
+		},
+	};
+}
+
+function saveTimers() {
+	const id = $('#timer_car').val();
+	if (!id) return;
+	const timers = [readTimer(1), readTimer(2)];
+	const model = {
+		enabled: timers.some((timer) => timer.enabled),
+		timers,
+		offPeak: {
+			mode: $('#offpeak_mode').val(),
+			start: $('#offpeak_start').val(),
+			end: $('#offpeak_end').val(),
+		},
+	};
+	Homey.api('POST', `timers?id=${encodeURIComponent(id)}`, model, (err) => {
+		if (err) {
+			Homey.alert(err.message || err, 'error');
+		} else {
+			Homey.alert(Homey.__('settings.tab5.saved'), 'info');
+		}
+	});
+}
+
+// tab 6 stuff here
+let profiles = [];
+
+function displayProfileInfo(info) {
+	$('#profileinfo').text(info);
+}
+
+function displayProfiles() {
+	let lines = '';
+	profiles.forEach((profile, index) => {
+		const options = [`${profile.temperature}°C`, `${profile.duration} min`];
+		if (profile.defrost) options.push(Homey.__('settings.tab6.defrost'));
+		if (profile.steeringWheel) options.push(Homey.__('settings.tab6.steeringWheel'));
+		if (profile.rearWindow) options.push(Homey.__('settings.tab6.rearWindow'));
+		if (profile.seats && profile.seats.driver) options.push(`${Homey.__('settings.tab6.driverSeat')} ${profile.seats.driver}`);
+		lines += `<b onclick="editProfile(${index})">${escapeHtml(profile.name)}</b> (${escapeHtml(options.join(', '))}) `
+			+ `<button class="btn" onclick="deleteProfile(${index})">X</button><br />`;
+	});
+	$('#profilelines').html(lines);
+}
+
+function updateProfiles() {
+	displayProfileInfo('');
+	const id = $('#profile_car').val();
+	if (!id) return;
+	Homey.api('GET', `climateprofiles?id=${encodeURIComponent(id)}`, null, (err, result) => {
+		if (err) {
+			displayProfileInfo(err.message || err);
+			return;
+		}
+		profiles = result || [];
+		displayProfiles();
+	});
+}
+
+function loadProfileCars() {
+	Homey.api('GET', 'devices/', null, (err, result) => {
+		if (err) {
+			displayProfileInfo(err.message || err);
+			return;
+		}
+		$('#profile_car').html(carOptions(result));
+		updateProfiles();
+	});
+}
+
+function saveProfiles() {
+	const id = $('#profile_car').val();
+	if (!id) return;
+	Homey.api('POST', `climateprofiles?id=${encodeURIComponent(id)}`, profiles, (err) => {
+		if (err) {
+			Homey.alert(err.message || err, 'error');
+			updateProfiles();
+		} else {
+			Homey.alert(Homey.__('settings.tab6.saved'), 'info');
+			displayProfiles();
+		}
+	});
+}
+
+function editProfile(index) {
+	const profile = profiles[index];
+	$('#profile_name').val(profile.name);
+	$('#profile_temperature').val(profile.temperature);
+	$('#profile_duration').val(profile.duration);
+	$('#profile_defrost').prop('checked', !!profile.defrost);
+	$('#profile_steering_wheel').prop('checked', !!profile.steeringWheel);
+	$('#profile_rear_window').prop('checked', !!profile.rearWindow);
+	$('#profile_driver_seat').val((profile.seats && profile.seats.driver) || '');
+}
+
+// a profile with the same name is changed, otherwise a new profile is added
+function saveProfile() {
+	try {
+		const name = $('#profile_name').val().trim();
+		if (!name) throw Error(Homey.__('settings.tab6.nameRequired'));
+		const existing = profiles.find((profile) => profile.name.toLowerCase() === name.toLowerCase());
+		const driverSeat = $('#profile_driver_seat').val();
+		const profile = {
+			id: existing ? existing.id : Date.now().toString(36),
+			name,
+			temperature: Number($('#profile_temperature').val()),
+			defrost: $('#profile_defrost').prop('checked'),
+			steeringWheel: $('#profile_steering_wheel').prop('checked'),
+			rearWindow: $('#profile_rear_window').prop('checked'),
+			duration: Number($('#profile_duration').val()),
+		};
+		if (driverSeat) profile.seats = { driver: driverSeat };
+		if (existing) profiles.splice(profiles.indexOf(existing), 1, profile);
+		else profiles.push(profile);
+		saveProfiles();
+	} catch (error) {
+		Homey.alert(error.message, 'error');
+	}
+}
+
+function deleteProfile(index) {
+	Homey.confirm(`${Homey.__('settings.tab6.deleteWarning')} ${profiles[index].name}?`, 'warning', (error, result) => {
+		if (result) {
+			profiles.splice(index, 1);
+			saveProfiles();
+		}
+	});
+}
+
 // generic stuff here
 function showTab(tab) {
 	if (tab === 2) updateLogs();
+	if (tab === 3) loadTripCars();
+	if (tab === 4) loadZones();
+	if (tab === 5) loadTimerCars();
+	if (tab === 6) loadProfileCars();
 	$('.tab').removeClass('tab-active');
 	$('.tab').addClass('tab-inactive');
 	$(`#tabb${tab}`).removeClass('tab-inactive');
@@ -0,0 +1,67 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CircuitBreaker = require('../drivers/circuit_breaker');
+
+const serverError = (message, body, statusCode) => Object.assign(Error(message), { body, statusCode });
+
+test('classify tells login errors from other errors that mention a login', () => {
+	const { classify } = CircuitBreaker;
+	assert.strictEqual(classify(Error('not logged in')), 'auth');
+	assert.strictEqual(classify('@EuropeControllerLogin: AuthCode was not found'), 'auth');
+	assert.strictEqual(classify('Get token failed: {"error":"invalid_grant"}'), 'auth');
+	assert.strictEqual(classify(serverError('Response code 401 (Unauthorized)', null, 401)), 'auth');
+	assert.strictEqual(classify(Error('refresh token expired')), 'auth');
+	assert.strictEqual(classify(Error('socket hang up during login')), 'network');
+	assert.strictEqual(classify(serverError('503 Service Unavailable at /login', null, 503)), 'server');
+	assert.strictEqual(classify(Error('login forced')), 'other');
+	assert.strictEqual(classify(serverError('Exceeds number of requests', { retCode: 'F', resCode: '5091' })), 'rate_limit');
+});
+
+test('a half open circuit lets exactly one trial request through', () => {
+	const breaker = new CircuitBreaker();
+	breaker.failure(Error('not logged in'));
+	assert.strictEqual(breaker.state, 'open');
+	assert.strictEqual(breaker.tryRequest(), false);
+	breaker.openUntil = Date.now();
+	assert.strictEqual(breaker.tryRequest(), true);
+	assert.strictEqual(breaker.state, 'half_open');
+	assert.strictEqual(breaker.canRequest(), false);
+	assert.strictEqual(breaker.tryRequest(), false);
+	breaker.success();
+	assert.strictEqual(breaker.state, 'closed');
+	assert.strictEqual(breaker.tryRequest(), true);
+	assert.strictEqual(breaker.tryRequest(), true);
+});
+
+test('a failed trial opens the circuit again with a longer back-off', () => {
+	const breaker = new CircuitBreaker();
+	breaker.failure(Error('not logged in'));
+	const firstBackOff = breaker.retryIn();
+	breaker.openUntil = Date.now();
+	assert.strictEqual(breaker.tryRequest(), true);
+	breaker.failure(Error('not logged in'));
+	assert.strictEqual(breaker.state, 'open');
+	assert.ok(breaker.retryIn() > firstBackOff);
+	assert.strictEqual(breaker.tryRequest(), false);
+});
@@ -0,0 +1,71 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CommandQueue = require('../drivers/command_queue');
+
+const createQueue = () => {
+	const rejected = [];
+	const queue = new CommandQueue({ onReject: (item, reason) => rejected.push({ command: item.command, origin: item.origin, reason }) });
+	return { queue, rejected };
+};
+
+const commands = (queue) => queue.inspect().pending.map((item) => `${item.origin} ${item.command}`);
+
+test('opposite user commands cancel each other', () => {
+	const { queue, rejected } = createQueue();
+	queue.add({ command: 'lock' });
+	assert.strictEqual(queue.add({ command: 'unlock' }), null);
+	assert.deepStrictEqual(commands(queue), []);
+	assert.deepStrictEqual(rejected.map((item) => item.command), ['lock', 'unlock']);
+});
+
+test('a user command replaces an opposite state fix', () => {
+	const { queue } = createQueue();
+	queue.add({ command: 'stopCharge', origin: 'fix' });
+	assert.ok(queue.add({ command: 'startCharge' }));
+	assert.deepStrictEqual(commands(queue), ['user startCharge']);
+});
+
+test('a state fix does not cancel an opposite user command', () => {
+	const { queue, rejected } = createQueue();
+	queue.add({ command: 'startCharge' });
+	assert.strictEqual(queue.add({ command: 'stopCharge', origin: 'fix' }), null);
+	assert.deepStrictEqual(commands(queue), ['user startCharge']);
+	assert.deepStrictEqual(rejected, []);
+});
+
+test('a user command merged into a pending state fix makes it a user command', () => {
+	const { queue } = createQueue();
+	queue.add({ command: 'stopCharge', origin: 'fix' });
+	assert.strictEqual(queue.add({ command: 'stopCharge' }), null);
+	assert.deepStrictEqual(commands(queue), ['user stopCharge']);
+});
+
+test('a retry of a command is neither cancelled by nor cancels a user command', () => {
+	const { queue } = createQueue();
+	queue.add({ command: 'lock', origin: 'retry' });
+	assert.ok(queue.add({ command: 'unlock' }));
+	assert.deepStrictEqual(commands(queue), ['user unlock']);
+	assert.strictEqual(queue.add({ command: 'lock', origin: 'retry' }), null);
+	assert.deepStrictEqual(commands(queue), ['user unlock']);
+});
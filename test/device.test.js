@@ -0,0 +1,451 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const https = require('https');
+const geo = require('../reverseGeo');
+const {
+	createCar, removeCar, idle, sleep,
+} = require('./helpers/harness');
+
+const poll = async (device, refresh) => {
+	device.enQueue({ command: 'doPoll', args: !!refresh });
+	await idle(device);
+};
+
+test('the first polls read the car status into the capabilities', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device } = car;
+	t.after(() => removeCar(car));
+	assert.strictEqual(device.getCapabilityValue('locked'), true);
+	assert.strictEqual(device.getCapabilityValue('measure_battery.EV'), 80);
+	assert.strictEqual(device.getCapabilityValue('odometer'), 12345);
+	assert.strictEqual(device.getCapabilityValue('circuit_state'), 'closed');
+});
+
+test('runQueue sends a command, then refreshes and verifies it', async (t) => {
+	const car = await createCar({ scenario: 'driving' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	assert.strictEqual(device.getCapabilityValue('locked'), false);
+	await device.lock(true, 'test');
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['lock']);
+	assert.strictEqual(device.getCapabilityValue('locked'), true);
+	assert.strictEqual(car.triggered('command_succeeded').length, 1);
+	assert.strictEqual(car.triggered('command_succeeded')[0].tokens.command, 'lock');
+});
+
+test('runQueue runs user commands before a pending poll', async (t) => {
+	const car = await createCar({ scenario: 'charging' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	device.enQueue({ command: 'doPoll', args: false });
+	device.enQueue({ command: 'stop' });
+	device.enQueue({ command: 'lock' });
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['stop', 'lock']);
+});
+
+test('runQueue sends the EU commands through eu_vehicle.js', async (t) => {
+	const car = await createCar({ scenario: 'charging' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await device.setChargeLimit(70, 90, 'test');
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['/charge/target']);
+	assert.deepStrictEqual(vehicle.car.chargeLimits, { ac: 70, dc: 90 });
+	assert.strictEqual(device.getCapabilityValue('charge_limit_ac'), 70);
+});
+
+test('runQueue pauses all requests after a rate limit error', async (t) => {
+	const car = await createCar({ scenario: 'rate_limited' });
+	const { device, vehicle, app } = car;
+	t.after(() => removeCar(car));
+	await device.lock(true, 'test');
+	await idle(device);
+	assert.strictEqual(device.circuitBreaker.state, 'open');
+	assert.strictEqual(device.getCapabilityValue('circuit_state'), 'open');
+	assert.ok(app.requestBudget.remaining(device.budgetKey).blockedUntil > Date.now());
+	// nothing reaches the server while the circuit is open
+	const { requests } = vehicle;
+	await device.lock(false, 'test');
+	await poll(device);
+	assert.strictEqual(vehicle.requests, requests);
+});
+
+test('doPoll switches to the engine on poll mode while the car is active', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, vehicle, app } = car;
+	t.after(() => removeCar(car));
+	assert.strictEqual(device.pollMode, 0);
+	vehicle.car.engine = true;
+	await poll(device);
+	assert.strictEqual(device.pollMode, 1);
+	// engine on mode refreshes from the car
+	const refreshesLeft = app.requestBudget.remaining(device.budgetKey).refresh;
+	await poll(device);
+	assert.strictEqual(app.requestBudget.remaining(device.budgetKey).refresh, refreshesLeft - 1);
+	vehicle.car.engine = false;
+	device.carLastActive = Date.now() - 10 * 60 * 1000;
+	await poll(device);
+	assert.strictEqual(device.pollMode, 0);
+});
+
+test('doPoll only refreshes from the car when forced', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, app } = car;
+	t.after(() => removeCar(car));
+	const refreshesLeft = app.requestBudget.remaining(device.budgetKey).refresh;
+	await poll(device, false);
+	assert.strictEqual(app.requestBudget.remaining(device.budgetKey).refresh, refreshesLeft);
+	await poll(device, true);
+	assert.strictEqual(app.requestBudget.remaining(device.budgetKey).refresh, refreshesLeft - 1);
+});
+
+test('isParking records a trip when the engine stops at a new location', async (t) => {
+	const home = { latitude: 52.0907, longitude: 5.1214 };
+	const car = await createCar({ scenario: 'driving', store: { parkLocation: home } });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	for (let step = 0; step < 6; step += 1) {
+		// eslint-disable-next-line no-await-in-loop
+		await poll(device);
+	}
+	assert.strictEqual(vehicle.car.engine, false);
+	assert.strictEqual(car.triggered('has_parked').length, 1);
+	assert.ok(device.parkLocation.latitude > home.latitude + 0.01);
+	assert.strictEqual(device.getStoreValue('parkLocation').latitude, device.parkLocation.latitude);
+	const trips = device.getStoreValue('trips');
+	assert.strictEqual(trips.length, 1);
+	assert.strictEqual(trips[0].start.latitude, home.latitude);
+	assert.strictEqual(trips[0].end.latitude, device.parkLocation.latitude);
+	// a poll at the same place is no new parking
+	await poll(device);
+	assert.strictEqual(car.triggered('has_parked').length, 1);
+});
+
+test('a new car is parked where it is first seen, without recording a trip', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device } = car;
+	t.after(() => removeCar(car));
+	await poll(device);
+	assert.strictEqual(car.triggered('has_parked').length, 0);
+	assert.strictEqual(car.triggered('has_moved').length, 0);
+	assert.deepStrictEqual(device.getStoreValue('trips') || [], []);
+	assert.strictEqual(device.tripLog.isOpen(), false);
+	assert.strictEqual(device.getStoreValue('parkLocation').latitude, device.getCapabilityValue('latitude'));
+});
+
+test('doPoll verifies a command before the state fix, and does not verify the fix', async (t) => {
+	const car = await createCar({ scenario: 'charging' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await device.chargingOnOff(false, 'test');
+	await idle(device);
+	// the refresh after stopCharge finds the car plugged in and not charging, and fixes the charger state
+	assert.deepStrictEqual(vehicle.commands, ['stopCharge', 'stopCharge']);
+	assert.strictEqual(car.triggered('command_succeeded').length, 1);
+	assert.strictEqual(car.triggered('command_failed').length, 0);
+	assert.deepStrictEqual(device.commandVerifier.pending, {});
+});
+
+test('the queue restarts after it paused without login', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, vehicle, app } = car;
+	t.after(() => removeCar(car));
+	const { client } = app.sessions.sessions[device.budgetKey];
+	client.scenario = 'outage';
+	client.controller.session.tokenExpiresAt = 0;
+	device.setVehicle(undefined);
+	device.enQueue({ command: 'lock' });
+	device.enQueue({ command: 'doPoll', args: false });
+	await idle(device);
+	assert.strictEqual(device.circuitBreaker.state, 'open');
+	assert.strictEqual(device.commandQueue.size, 1);
+	// the back-off has passed and the server is back: the next poll merges into the pending poll, and restarts the queue
+	client.scenario = 'parked';
+	device.circuitBreaker.openUntil = Date.now();
+	const { requests } = vehicle;
+	await poll(device);
+	assert.strictEqual(device.vehicle, vehicle);
+	assert.strictEqual(device.commandQueue.size, 0);
+	assert.ok(vehicle.requests > requests);
+	assert.strictEqual(device.circuitBreaker.state, 'closed');
+});
+
+test('runQueue charges the request budget for the retry of a duplicate request', async (t) => {
+	const car = await createCar({ scenario: 'parked', settings: { relockTime: 0 } });
+	const { device, vehicle, app } = car;
+	t.after(() => removeCar(car));
+	const serverBudget = () => app.requestBudget.remaining(device.budgetKey).server;
+	let left = serverBudget();
+	await device.lock(false, 'test');
+	await idle(device);
+	const used = left - serverBudget();
+	left = serverBudget();
+	vehicle.nextError = { retCode: 'F', resCode: '4004', resMsg: 'Duplicate request - Duplicate request' };
+	await device.lock(true, 'test');
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['unlock', 'lock', 'lock']);
+	assert.strictEqual(left - serverBudget(), used + 1);
+});
+
+test('doPoll only charges the request budget for requests that are sent', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, vehicle, app } = car;
+	t.after(() => removeCar(car));
+	const remaining = () => app.requestBudget.remaining(device.budgetKey);
+	// one server request for the full status of an EU car
+	let left = remaining();
+	let { requests } = vehicle;
+	await device.doPoll();
+	assert.strictEqual(vehicle.requests, requests + 1);
+	assert.strictEqual(left.server - remaining().server, 1);
+	// the circuit breaker refuses the request while the trial of a half open circuit runs
+	device.circuitBreaker.state = 'half_open';
+	device.circuitBreaker.trial = true;
+	left = remaining();
+	({ requests } = vehicle);
+	await assert.rejects(device.doPoll(), { code: 'CIRCUIT_OPEN' });
+	assert.strictEqual(vehicle.requests, requests);
+	assert.deepStrictEqual(remaining(), left);
+	// CA cars have no odometer request
+	device.circuitBreaker.state = 'closed';
+	device.circuitBreaker.trial = false;
+	vehicle.region = 'CA';
+	left = remaining();
+	({ requests } = vehicle);
+	await device.vehicleRequest('odometer');
+	assert.strictEqual(vehicle.requests, requests);
+	assert.deepStrictEqual(remaining(), left);
+});
+
+test('a poll in a half open circuit sends one trial request', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	vehicle.nextError = { resMsg: 'Token expired' };
+	await poll(device);
+	assert.strictEqual(device.circuitBreaker.state, 'open');
+	// the back-off has passed, but the trial fails again: one request only
+	device.circuitBreaker.openUntil = Date.now();
+	vehicle.nextError = { resMsg: 'Token expired' };
+	let { requests } = vehicle;
+	await poll(device);
+	assert.strictEqual(vehicle.requests, requests + 1);
+	assert.strictEqual(device.circuitBreaker.state, 'open');
+	// the trial succeeds and closes the circuit
+	device.circuitBreaker.openUntil = Date.now();
+	({ requests } = vehicle);
+	await poll(device, true);
+	assert.strictEqual(vehicle.requests, requests + 1);
+	assert.strictEqual(device.circuitBreaker.state, 'closed');
+});
+
+test('the departure timer condition is false while the car did not report its timers', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, homey } = car;
+	t.after(() => removeCar(car));
+	const condition = homey.flow.getConditionCard('departure_timer_on');
+	device.departureTimers = undefined;
+	assert.strictEqual(await condition.runListener({ device, timer: '1' }), false);
+});
+
+test('unlocking from the app needs the unlock confirmation', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await assert.rejects(device.triggerCapabilityListener('locked', false), /needs confirmation/);
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, []);
+	await device.triggerCapabilityListener('locked', false);
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['unlock']);
+});
+
+test('the doors are locked again when no door was opened after a remote unlock', async (t) => {
+	const car = await createCar({ scenario: 'parked', settings: { relockTime: 1, unlockSecret: 'open sesame' } });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await device.unlockRequest('open sesame', 'test');
+	await sleep(100); // the re-lock time has passed
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['unlock', 'lock']);
+});
+
+test('a door that was opened and closed between the checks prevents the re-lock', async (t) => {
+	const car = await createCar({ scenario: 'parked', settings: { relockTime: 3, unlockSecret: 'open sesame' } });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await device.unlockRequest('open sesame', 'test');
+	await idle(device);
+	vehicle.car.doorsOpen.frontLeft = 1;
+	await sleep(70); // the server status is read after a minute
+	vehicle.car.doorsOpen.frontLeft = 0;
+	await sleep(200);
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['unlock']);
+	assert.strictEqual(device.relockWatch, null);
+});
+
+test('the doors are not locked again while the engine is on', async (t) => {
+	const car = await createCar({ scenario: 'parked', settings: { relockTime: 1, unlockSecret: 'open sesame' } });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	await device.unlockRequest('open sesame', 'test');
+	await idle(device);
+	vehicle.car.engine = true;
+	await sleep(100);
+	await idle(device);
+	assert.deepStrictEqual(vehicle.commands, ['unlock']);
+});
+
+test('replaySession replays a recorded session without touching the car', async (t) => {
+	const home = { latitude: 52.0907, longitude: 5.1214 };
+	const driving = await createCar({ scenario: 'driving', store: { parkLocation: home } });
+	t.after(() => removeCar(driving));
+	await driving.device.setCapture(true, 'test');
+	for (let step = 0; step < 6; step += 1) {
+		// eslint-disable-next-line no-await-in-loop
+		await poll(driving.device);
+	}
+	await driving.device.setCapture(false, 'test');
+	const session = await driving.device.getCapture();
+
+	const parked = await createCar({ scenario: 'parked' });
+	const { device, homey } = parked;
+	t.after(() => removeCar(parked));
+	const store = JSON.stringify(device.store);
+	const triggered = homey.flow.triggered.length;
+	const capabilities = { locked: device.getCapabilityValue('locked'), latitude: device.getCapabilityValue('latitude') };
+	const result = await device.replaySession(session.data, 'test');
+	assert.strictEqual(result.replayed, 6);
+	assert.strictEqual(result.triggers.filter((trigger) => trigger.id === 'has_parked').length, 1);
+	assert.strictEqual(result.trips.length, 1);
+	assert.strictEqual(result.capabilities.locked, false);
+	// the car, its store and the flows are left as they were
+	assert.strictEqual(JSON.stringify(device.store), store);
+	assert.strictEqual(homey.flow.triggered.length, triggered);
+	assert.deepStrictEqual({ locked: device.getCapabilityValue('locked'), latitude: device.getCapabilityValue('latitude') }, capabilities);
+});
+
+test('replaySession makes no outside requests', async (t) => {
+	const home = { latitude: 52.0907, longitude: 5.1214 };
+	const driving = await createCar({ scenario: 'driving', store: { parkLocation: home } });
+	t.after(() => removeCar(driving));
+	await driving.device.setCapture(true, 'test');
+	for (let step = 0; step < 6; step += 1) {
+		// eslint-disable-next-line no-await-in-loop
+		await poll(driving.device);
+	}
+	await driving.device.setCapture(false, 'test');
+	const session = await driving.device.getCapture();
+
+	const parked = await createCar({ scenario: 'parked' });
+	const { device } = parked;
+	t.after(() => removeCar(parked));
+	// only the replay may run: the polls of the car itself look up addresses
+	device.stopPolling();
+	const outside = [];
+	const record = (helper) => () => {
+		outside.push(helper);
+		return Promise.reject(Error(`${helper} called during a replay`));
+	};
+	// the car itself may look up addresses and directions
+	device.gmapsEnabled = true;
+	device.maps = { directions: record('maps') };
+	device.abrpEnabled = true;
+	device.abrp = { send: record('abrp') };
+	const { request } = https;
+	const { getCarLocString } = geo;
+	https.request = () => {
+		outside.push('https');
+		throw Error('https request during a replay');
+	};
+	geo.getCarLocString = record('reverse geocoding');
+	t.after(() => {
+		https.request = request;
+		geo.getCarLocString = getCarLocString;
+	});
+	const result = await device.replaySession(session.data, 'test');
+	https.request = request;
+	geo.getCarLocString = getCarLocString;
+	assert.strictEqual(result.replayed, 6);
+	assert.deepStrictEqual(outside, []);
+});
+
+test('the charge planner stops charging when the plan ends', async (t) => {
+	const car = await createCar({ scenario: 'charging' });
+	const { device, vehicle } = car;
+	t.after(() => removeCar(car));
+	const hour = 60 * 60 * 1000;
+	const now = Date.now();
+	device.chargePlanner.plan = {
+		created: now - 3 * hour, departure: now + hour, target: 100, hoursNeeded: 1, slots: [{ start: now - 2 * hour, end: now - hour, price: 0.1 }],
+	};
+	device.plannedCharging = true;
+	device.runChargePlan();
+	await idle(device);
+	assert.strictEqual(device.chargePlanner.plan, null);
+	assert.strictEqual(device.plannedCharging, undefined);
+	// the refresh after the command may add the stopCharge of the charger state fix
+	assert.strictEqual(vehicle.commands[0], 'stopCharge');
+	assert.ok(!vehicle.commands.includes('startCharge'));
+});
+
+test('the charge planner starts charging again after the car was unplugged during a planned hour', async (t) => {
+	const car = await createCar({ scenario: 'parked' });
+	const { device } = car;
+	t.after(() => removeCar(car));
+	const hour = 60 * 60 * 1000;
+	const now = Date.now();
+	device.chargePlanner.plan = {
+		created: now, departure: now + 2 * hour, target: 100, hoursNeeded: 1, slots: [{ start: now - hour / 2, end: now + hour, price: 0.1 }],
+	};
+	device.plannedCharging = true;
+	assert.strictEqual(device.getCapabilityValue('charger'), '0');
+	device.runChargePlan();
+	assert.strictEqual(device.plannedCharging, undefined);
+	// plugged in again, not charging yet
+	const started = [];
+	device.chargingOnOff = (charge) => started.push(charge);
+	await device.setCapabilityValue('charger', '4');
+	await device.setCapabilityValue('charging', false);
+	device.runChargePlan();
+	assert.deepStrictEqual(started, [true]);
+});
+
+test('new charge prices are not kept when they cannot be planned', async (t) => {
+	const car = await createCar({ scenario: 'charging' });
+	const { device } = car;
+	t.after(() => removeCar(car));
+	const departure = new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString();
+	await device.setChargePrices([0.3, 0.2, 0.1, 0.2, 0.3, 0.3], departure, 'test');
+	const { prices } = device.chargePlanner;
+	const { plan } = device.chargePlanner;
+	const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+	await assert.rejects(device.setChargePrices([0.5, 0.5, 0.5], past, 'test'), /Departure must be in the future/);
+	assert.deepStrictEqual(device.chargePlanner.prices, prices);
+	assert.strictEqual(device.chargePlanner.plan, plan);
+	assert.deepStrictEqual(device.getStoreValue('chargePlanner').prices, prices);
+});
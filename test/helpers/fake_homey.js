@@ -0,0 +1,221 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+// a fake of the parts of the Homey SDK3 that the app and the devices use, so they run outside Homey.
+// Flow cards keep what they triggered in homey.flow.triggered: [{ id, tokens, state }]
+
+class FlowCard {
+
+	constructor(id, flow) {
+		this.id = id;
+		this.flow = flow;
+	}
+
+	registerRunListener(listener) {
+		this.runListener = listener;
+		return this;
+	}
+
+	getArgument() {
+		return { registerAutocompleteListener: () => this };
+	}
+
+	trigger(device, tokens, state) {
+		this.flow.triggered.push({ id: this.id, tokens, state });
+		return Promise.resolve(true);
+	}
+
+}
+
+const createHomey = () => {
+	const settings = {};
+	const cards = {};
+	const flow = { triggered: [] };
+	const getCard = (id) => {
+		if (!cards[id]) cards[id] = new FlowCard(id, flow);
+		return cards[id];
+	};
+	Object.assign(flow, {
+		getActionCard: getCard,
+		getConditionCard: getCard,
+		getTriggerCard: getCard,
+		getDeviceTriggerCard: getCard,
+		getCard,
+	});
+	const homey = {
+		app: null,
+		devices: [],
+		flow,
+		settings: {
+			get: (key) => (settings[key] === undefined ? null : settings[key]),
+			set: (key, value) => {
+				settings[key] = value;
+			},
+		},
+		clock: { getTimezone: () => 'Europe/Amsterdam' },
+		geolocation: { getLatitude: () => 52.0907, getLongitude: () => 5.1214 },
+		cloud: { getHomeyId: () => Promise.resolve('fakehomey') },
+		drivers: { getDrivers: () => ({ fake: { getDevices: () => homey.devices } }) },
+		on() {
+			return homey;
+		},
+	};
+	return homey;
+};
+
+// log and error are kept instead of printed, see logs
+class SimpleClass {
+
+	constructor() {
+		this.logs = [];
+		this.log = (...args) => this.logs.push(args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+		this.error = (...args) => this.log('[error]', ...args);
+	}
+
+}
+
+class App extends SimpleClass {
+
+	constructor(opts) {
+		super();
+		this.homey = opts.homey;
+	}
+
+}
+
+class Driver extends SimpleClass {
+
+	constructor(opts) {
+		super();
+		this.homey = opts.homey;
+	}
+
+}
+
+// opts: { homey, driver, name, data, settings, store, capabilities }
+class Device extends SimpleClass {
+
+	constructor(opts) {
+		super();
+		this.homey = opts.homey;
+		this.driver = opts.driver;
+		this.name = opts.name || 'Fake car';
+		this.data = opts.data || { id: 'fake' };
+		this.settingsValues = { ...opts.settings };
+		this.store = { ...opts.store };
+		this.capabilities = (opts.capabilities || []).reduce((values, capability) => ({ ...values, [capability]: null }), {});
+		this.capabilityOptions = {};
+		this.capabilityListeners = {};
+		this.available = true;
+		this.unavailableMessage = null;
+	}
+
+	getName() {
+		return this.name;
+	}
+
+	getData() {
+		return this.data;
+	}
+
+	getSettings() {
+		return { ...this.settingsValues };
+	}
+
+	async setSettings(settings) {
+		Object.assign(this.settingsValues, settings);
+	}
+
+	getStoreValue(key) {
+		return this.store[key] === undefined ? null : this.store[key];
+	}
+
+	async setStoreValue(key, value) {
+		this.store[key] = JSON.parse(JSON.stringify(value === undefined ? null : value));
+	}
+
+	hasCapability(capability) {
+		return Object.prototype.hasOwnProperty.call(this.capabilities, capability);
+	}
+
+	async addCapability(capability) {
+		if (!this.hasCapability(capability)) this.capabilities[capability] = null;
+	}
+
+	async removeCapability(capability) {
+		delete this.capabilities[capability];
+	}
+
+	async setCapabilityOptions(capability, options) {
+		this.capabilityOptions[capability] = options;
+	}
+
+	getCapabilityValue(capability) {
+		return this.hasCapability(capability) ? this.capabilities[capability] : null;
+	}
+
+	async setCapabilityValue(capability, value) {
+		if (!this.hasCapability(capability)) throw Error(`Invalid capability: ${capability}`);
+		this.capabilities[capability] = value;
+	}
+
+	registerCapabilityListener(capability, listener) {
+		this.capabilityListeners[capability] = listener;
+	}
+
+	// what Homey does when the user changes a capability in the app
+	async triggerCapabilityListener(capability, value) {
+		const listener = this.capabilityListeners[capability];
+		if (!listener) throw Error(`No listener for ${capability}`);
+		await listener(value, {});
+		this.capabilities[capability] = value;
+	}
+
+	async setAvailable() {
+		this.available = true;
+		this.unavailableMessage = null;
+	}
+
+	async setUnavailable(message) {
+		this.available = false;
+		this.unavailableMessage = message;
+	}
+
+	async setWarning(message) {
+		this.warning = message;
+	}
+
+	async unsetWarning() {
+		this.warning = null;
+	}
+
+}
+
+module.exports = {
+	App,
+	Driver,
+	Device,
+	SimpleClass,
+	env: {},
+	createHomey,
+};
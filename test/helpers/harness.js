@@ -0,0 +1,134 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// runs the app and a car device outside Homey, against the mock back-end.
+// Require this before any app module: it replaces the homey module and speeds up the timers.
+
+const Module = require('module');
+const util = require('util');
+const path = require('path');
+
+// timers run 1000 times faster, so a 5 minute wait takes 300 ms
+const timeScale = 1000;
+const realSetTimeout = global.setTimeout;
+const realSetInterval = global.setInterval;
+const scaled = (ms) => Math.round((Number(ms) || 0) / timeScale);
+global.setTimeout = (fn, ms, ...args) => realSetTimeout(fn, scaled(ms), ...args);
+global.setTimeout[util.promisify.custom] = (ms, value) => new Promise((resolve) => realSetTimeout(resolve, scaled(ms), value));
+global.setInterval = (fn, ms, ...args) => realSetInterval(fn, Math.max(scaled(ms), 1), ...args);
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolve(request, ...args) {
+	if (request === 'homey') return path.join(__dirname, 'fake_homey.js');
+	return resolveFilename.call(this, request, ...args);
+};
+
+/* eslint-disable import/order */
+const FakeHomey = require('./fake_homey');
+const EuVehicle = require('../../eu_vehicle');
+const geo = require('../../reverseGeo');
+const { MockClient } = require('../mock/mock_backend');
+const App = require('../../app');
+const UvoDriver = require('../../drivers/uvo/driver');
+const UvoDevice = require('../../drivers/uvo/device');
+const driverSettings = require('../../drivers/uvo/driver.settings.compose.json');
+/* eslint-enable import/order */
+
+// the EU commands of eu_vehicle.js go to the mock vehicle instead of the Kia/Hyundai servers
+EuVehicle.prototype._makeHttpsRequest = function makeHttpsRequest(options, postData) {
+	return this.vehicle.handleRequest(options, postData);
+};
+
+// no reverse geocoding from the tests
+geo.getCarLocString = (location) => Promise.resolve({ local: 'Testville', address: `${location.latitude},${location.longitude}` });
+
+const defaultSettings = (fields) => fields.reduce((settings, field) => {
+	if (field.children) return { ...settings, ...defaultSettings(field.children) };
+	return { ...settings, [field.id]: field.value };
+}, {});
+
+const sleep = (ms) => new Promise((resolve) => realSetTimeout(resolve, ms));
+
+// resolves when the queue of the car has stopped for a while: empty, or paused with items left
+const idle = async (device) => {
+	let quiet = 0;
+	for (let i = 0; i < 1000 && quiet < 3; i += 1) {
+		// eslint-disable-next-line no-await-in-loop
+		await sleep(5);
+		quiet = (!device.queueRunning && !device.commandQueue.running) ? quiet + 1 : 0;
+	}
+	if (quiet < 3) throw Error('the queue did not finish');
+};
+
+// opts: { scenario, settings, store }. Resolves when the first polls are done.
+const createCar = async (opts) => {
+	const options = opts || {};
+	const homey = FakeHomey.createHomey();
+	const app = new App({ homey });
+	app.logger = { logArray: [], saveLogs: () => true, deleteLogs: () => true };
+	homey.app = app;
+	app.onInit();
+	app.sessions.createClient = (clientOptions) => new MockClient({ ...clientOptions, scenario: options.scenario });
+
+	const driver = new UvoDriver({ homey });
+	driver.onInit();
+	const vin = 'MOCK00000000000';
+	const settings = {
+		...defaultSettings(driverSettings),
+		username: 'driver@example.com',
+		password: 'secret',
+		pin: '1234',
+		region: 'EU',
+		vin,
+		idOrg: 'mock-0',
+		pollInterval: 1440, // the tests poll themselves
+		lat: 52.0907,
+		lon: 5.1214,
+		...options.settings,
+	};
+	const device = new UvoDevice({
+		homey, driver, name: 'Test car', data: { id: vin }, settings, store: options.store, capabilities: driver.ds.deviceCapabilities,
+	});
+	device.ds = { deviceId: 'uvo' };
+	homey.devices.push(device);
+	await device.onInitDevice();
+	await idle(device);
+	return {
+		homey,
+		app,
+		device,
+		vehicle: device.vehicle,
+		triggered: (id) => homey.flow.triggered.filter((trigger) => trigger.id === id),
+	};
+};
+
+// stops the timers of the car
+const removeCar = async (car) => {
+	await idle(car.device).finally(() => car.device.onDeleted());
+};
+
+module.exports = {
+	createCar,
+	removeCar,
+	idle,
+	sleep,
+	timeScale,
+};
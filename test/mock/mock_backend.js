@@ -0,0 +1,81 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const EventEmitter = require('events');
+const MockVehicle = require('./mock_vehicle');
+
+// MockClient stands in for the kuvork client, so the tests run without the Kia/Hyundai servers.
+// scenario: one of the scenarios of mock_vehicle.js. Only the parts of the kuvork client and controller that the app uses are offered.
+class MockClient extends EventEmitter {
+
+	constructor(opts) {
+		super();
+		const options = opts || {};
+		this.scenario = options.scenario;
+		this.vehicles = [];
+		this.controller = {
+			userConfig: { brand: options.brand || 'K', region: 'EU' },
+			session: { deviceId: `mock-${Math.random().toString(16).substring(2, 10)}` },
+			refreshAccessToken: () => this.refreshAccessToken(),
+			getVehicles: () => this.getVehicles(),
+		};
+		this.cars = [0, 1].slice(0, Number(options.cars) || 1)
+			.map((index) => new MockVehicle({
+				scenario: this.scenario, index, brand: options.brand, controller: this.controller,
+			}));
+		if (options.autoLogin) setImmediate(() => this.login());
+	}
+
+	async login() {
+		if (this.scenario === 'outage') {
+			this.emit('error', '503 Service Unavailable');
+			return;
+		}
+		this.setTokens();
+		this.vehicles = this.cars;
+		this.emit('ready', this.vehicles);
+	}
+
+	setTokens() {
+		const now = Math.floor(Date.now() / 1000);
+		Object.assign(this.controller.session, {
+			accessToken: 'Bearer mock-access',
+			refreshToken: 'mock-refresh',
+			controlToken: 'Bearer mock-control',
+			tokenExpiresAt: now + 3600,
+			controlTokenExpiresAt: now + 600,
+		});
+	}
+
+	async refreshAccessToken() {
+		if (this.scenario === 'outage') return 'Token refresh failed: 503 Service Unavailable';
+		this.setTokens();
+		return 'Token refreshed';
+	}
+
+	async getVehicles() {
+		if (this.scenario === 'outage') throw Error('503 Service Unavailable');
+		return this.cars;
+	}
+
+}
+
+module.exports.MockClient = MockClient;
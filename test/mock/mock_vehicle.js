@@ -0,0 +1,262 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('../../drivers/temp_convert');
+
+// MockVehicle offers the kuvork EU vehicle methods that the app uses, for the mock back-end in mock_backend.js.
+// The scenarios script what the car does: each status request moves the car one step ahead.
+// Tests can also change this.car directly, e.g. to open a door.
+
+const home = { latitude: 52.0907, longitude: 5.1214 };
+
+const scenarios = {
+	// locked and parked at home
+	parked: {},
+	// plugged in at a station, +5% per step up to the charge limit
+	charging: { plugged: 3, charging: true },
+	// driving away from home for 6 steps, then parked and unlocked
+	driving: { engine: true, locked: false, tripSteps: 6 },
+	// status refreshes from the car time out
+	asleep: { asleep: true },
+	// the server refuses everything after 3 requests
+	rate_limited: { requestLimit: 3 },
+	// the server is down
+	outage: { outage: true },
+};
+
+const serverError = (message, body, statusCode) => {
+	const error = Error(message);
+	if (body) error.body = body;
+	if (statusCode) error.statusCode = statusCode;
+	return error;
+};
+
+class MockVehicle {
+
+	constructor(opts) {
+		const script = scenarios[opts.scenario] || scenarios.parked;
+		this.region = 'EU';
+		this.controller = opts.controller;
+		this.vehicleConfig = {
+			nickname: 'MOCK',
+			name: 'MOCK EV 21',
+			regDate: '2021-01-01 12:00:00.000',
+			brandIndicator: opts.brand || 'K',
+			id: `mock-${opts.index}`,
+			vin: `MOCK0000000000${opts.index}`,
+			generation: '2',
+		};
+		this.script = script;
+		this.requests = 0;
+		this.commands = [];
+		this.step = 0;
+		this.car = {
+			engine: !!script.engine,
+			locked: script.locked !== false,
+			doorsOpen: {
+				frontLeft: 0, frontRight: 0, backLeft: 0, backRight: 0,
+			},
+			trunkOpen: false,
+			climate: false,
+			defrost: false,
+			temperature: 21,
+			soc: script.charging ? 40 : 80,
+			plugged: script.plugged || 0,
+			charging: !!script.charging,
+			chargeLimits: { ac: 80, dc: 90 },
+			odometer: 12345,
+			latitude: home.latitude,
+			longitude: home.longitude,
+			speed: 0,
+			time: Date.now(),
+		};
+	}
+
+	// counts the request, and fails it as the scenario prescribes. Tests can fail the next request with this.nextError
+	request(refresh) {
+		this.requests += 1;
+		if (this.nextError) {
+			const error = this.nextError;
+			this.nextError = null;
+			return Promise.reject(serverError(error.resMsg, error));
+		}
+		if (this.script.outage) return Promise.reject(serverError('503 Service Unavailable', null, 503));
+		if (this.script.requestLimit && this.requests > this.script.requestLimit) {
+			return Promise.reject(serverError('Exceeds number of requests', { retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests' }));
+		}
+		if (refresh && this.script.asleep) return Promise.reject(serverError('Timeout from the car, the car is asleep'));
+		return Promise.resolve(true);
+	}
+
+	// moves the car one step ahead in the scenario
+	advance() {
+		const { car, script } = this;
+		this.step += 1;
+		car.time = Date.now();
+		if (car.charging) {
+			car.soc = Math.min(car.soc + 5, car.chargeLimits.ac);
+			if (car.soc >= car.chargeLimits.ac) car.charging = false;
+		}
+		if (car.engine && script.tripSteps) {
+			car.speed = this.step < script.tripSteps ? 50 : 0;
+			car.latitude += this.step < script.tripSteps ? 0.01 : 0;
+			car.odometer += this.step < script.tripSteps ? 1 : 0;
+			car.soc = Math.max(car.soc - (this.step < script.tripSteps ? 1 : 0), 0);
+			if (this.step >= script.tripSteps) car.engine = false;
+		}
+	}
+
+	// raw EU status, as returned by kuvork with parsed: false
+	rawStatus() {
+		const { car } = this;
+		let airTemp = '00H';
+		try {
+			airTemp = convert.getTempCode(car.temperature);
+		} catch (error) {
+			airTemp = '00H';
+		}
+		const time = new Date(car.time).toISOString().replace(/[-T:]/g, '').substring(0, 14);
+		return {
+			time,
+			engine: car.engine,
+			doorLock: car.locked,
+			doorOpen: { ...car.doorsOpen },
+			trunkOpen: car.trunkOpen,
+			hoodOpen: false,
+			airCtrlOn: car.climate,
+			defrost: car.defrost,
+			airTemp: { value: airTemp, unit: 0 },
+			steerWheelHeat: 0,
+			sideBackWindowHeat: 0,
+			tirePressureLamp: {
+				tirePressureLampAll: 0, tirePressureLampFL: 0, tirePressureLampFR: 0, tirePressureLampRL: 0, tirePressureLampRR: 0,
+			},
+			battery: { batSoc: 90, batState: 0 },
+			evStatus: {
+				batteryStatus: car.soc,
+				batteryCharge: car.charging,
+				batteryPlugin: car.plugged,
+				remainTime2: { atc: { value: car.charging ? (car.chargeLimits.ac - car.soc) * 6 : 0, unit: 1 } },
+				drvDistance: [{ rangeByFuel: { totalAvailableRange: { value: Math.round(car.soc * 4.5), unit: 1 } } }],
+				reservChargeInfos: {
+					targetSOClist: [
+						{ plugType: 0, targetSOClevel: car.chargeLimits.dc },
+						{ plugType: 1, targetSOClevel: car.chargeLimits.ac },
+					],
+				},
+			},
+		};
+	}
+
+	async fullStatus(input) {
+		await this.request(input && input.refresh);
+		this.advance();
+		const { car } = this;
+		return {
+			vehicleStatus: this.rawStatus(),
+			vehicleLocation: {
+				coord: { lat: car.latitude, lon: car.longitude, alt: 0 },
+				head: 0,
+				speed: { value: car.speed, unit: 0 },
+			},
+			odometer: { value: car.odometer, unit: 1 },
+		};
+	}
+
+	async status(input) {
+		await this.request(input && input.refresh);
+		this.advance();
+		return this.rawStatus();
+	}
+
+	async location() {
+		await this.request();
+		const { car } = this;
+		return {
+			latitude: car.latitude, longitude: car.longitude, altitude: 0, speed: { value: car.speed, unit: 0 }, heading: 0,
+		};
+	}
+
+	async odometer() {
+		await this.request();
+		return { value: this.car.odometer, unit: 1 };
+	}
+
+	async command(name, change) {
+		this.commands.push(name);
+		await this.request();
+		Object.assign(this.car, change);
+		this.car.time = Date.now();
+		return 'OK';
+	}
+
+	lock() {
+		return this.command('lock', { locked: true });
+	}
+
+	unlock() {
+		return this.command('unlock', { locked: false });
+	}
+
+	stop() {
+		return this.command('stop', { climate: false, defrost: false });
+	}
+
+	startCharge() {
+		if (!this.car.plugged) return Promise.reject(serverError('400 Vehicle is not plugged in'));
+		return this.command('startCharge', { charging: true });
+	}
+
+	stopCharge() {
+		return this.command('stopCharge', { charging: false });
+	}
+
+	// kuvork enters the PIN here when the control token has expired
+	async checkControlToken() {
+		this.controlToken = this.controlToken || 'mock-control-token';
+		return this.controlToken;
+	}
+
+	// the EU commands that eu_vehicle.js sends itself: { path, method } and the JSON body > { statusCode, body }
+	async handleRequest(options, postData) {
+		const endpoint = options.path.split(`/vehicles/${this.vehicleConfig.id}`)[1];
+		const body = postData ? JSON.parse(postData) : {};
+		const changes = {
+			'/control/temperature': () => ({
+				climate: body.action === 'start', defrost: !!body.options.defrost, temperature: convert.getTempFromCode(body.tempCode),
+			}),
+			'/charge/target': () => ({
+				chargeLimits: body.targetSOClist.reduce((limits, target) => ({
+					...limits, [target.plugType ? 'ac' : 'dc']: target.targetSOClevel,
+				}), {}),
+			}),
+			'/reservation/charge': () => ({ reservations: body }),
+		};
+		if (!changes[endpoint]) return { statusCode: 404, body: JSON.stringify({ retCode: 'F', resMsg: `unknown endpoint ${endpoint}` }) };
+		return this.command(endpoint, changes[endpoint]())
+			.then(() => ({ statusCode: 200, body: JSON.stringify({ retCode: 'S', resCode: '0000', resMsg: 'Success' }) }))
+			.catch((error) => ({ statusCode: error.statusCode || 400, body: JSON.stringify(error.body || { retCode: 'F', resMsg: error.message }) }));
+	}
+
+}
+
+module.exports = MockVehicle;
+module.exports.scenarios = Object.keys(scenarios);
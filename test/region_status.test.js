@@ -0,0 +1,94 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const regionStatus = require('../drivers/region_status');
+const VehicleStatus = require('../drivers/vehicle_status');
+const euCeed = require('./fixtures/eu_ceed_ice.json');
+const usKona = require('./fixtures/us_kona_ev.json');
+const caNiro = require('./fixtures/ca_niro_ev.json');
+
+// reads a recorded payload the way doPoll does
+const parse = (fixture) => {
+	const { region } = fixture;
+	return new VehicleStatus({
+		status: regionStatus.normalizeStatus(region, fixture.status),
+		location: regionStatus.normalizeLocation(region, fixture.location),
+		odometer: fixture.odometer,
+		region,
+	});
+};
+
+test('an EU status is read as is', () => {
+	const car = parse(euCeed);
+	assert.strictEqual(car.time, '20210313185232');
+	assert.strictEqual(car.isEV, false);
+	assert.strictEqual(car.locked, true);
+	assert.strictEqual(car.closedLocked, true);
+	assert.strictEqual(car.targetTemperature, 15);
+	assert.strictEqual(car.range, 405);
+	assert.strictEqual(car.odometer, 11440.5);
+	assert.strictEqual(car.battery12V, 81);
+	assert.deepStrictEqual(car.location, {
+		latitude: 51.589264, longitude: 5.340939, altitude: 0, speed: 0, heading: 0,
+	});
+});
+
+test('a US status is read in metric units', () => {
+	const car = parse(usKona);
+	assert.strictEqual(car.time, '20210314173210');
+	assert.strictEqual(car.isEV, true);
+	assert.strictEqual(car.soc, 75);
+	assert.strictEqual(car.charging, false);
+	assert.strictEqual(car.targetTemperature, 15); // LO
+	assert.strictEqual(car.range, 305.8); // 190 mi
+	assert.strictEqual(car.odometer, 20186); // 12543 mi
+	assert.strictEqual(car.tirePressureAlarm, false);
+	assert.strictEqual(car.location.latitude, 33.6781);
+	assert.strictEqual(car.location.heading, 180);
+	assert.deepStrictEqual(car.missing, []);
+});
+
+test('a CA status and findMyCar location are read, without odometer', () => {
+	const car = parse(caNiro);
+	assert.strictEqual(car.time, '20210314133210');
+	assert.strictEqual(car.soc, 62);
+	assert.strictEqual(car.charging, true);
+	assert.strictEqual(car.plugged, 2);
+	assert.strictEqual(car.timeToFull, 810);
+	assert.strictEqual(car.targetTemperature, 19);
+	assert.strictEqual(car.range, 251);
+	assert.deepStrictEqual(car.location, {
+		latitude: 43.6532, longitude: -79.3832, altitude: 76, speed: 0, heading: 90,
+	});
+	assert.deepStrictEqual(car.missing, ['odometer']);
+	assert.strictEqual(regionStatus.features('CA').odometer, false);
+});
+
+test('the climate start options follow the region', () => {
+	const options = { temperature: 22, airCtrl: true, defrost: false };
+	assert.deepStrictEqual(regionStatus.startOptions('EU', options), options);
+	assert.deepStrictEqual(regionStatus.startOptions('US', options), { airCtrl: true, defrost: false, airTempvalue: 72 });
+	assert.deepStrictEqual(regionStatus.startOptions('CA', options), { airCtrl: true, defrost: false, airTempvalue: 22 });
+	assert.strictEqual(regionStatus.startOptions('CA', { temperature: 21.3 }).airTempvalue, 21.5);
+	assert.strictEqual(regionStatus.startOptions('US', { temperature: 40 }).airTempvalue, 86);
+});
@@ -0,0 +1,48 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SessionRecorder = require('../drivers/session_recorder');
+
+test('personal data is redacted by key', () => {
+	const recorder = new SessionRecorder();
+	recorder.record('poll', { refresh: false }, {
+		status: { vin: 'KNA0000000001', doorLock: true, airTemp: { value: '12H' } },
+		location: { latitude: 52.09, longitude: 5.12 },
+		vehicleConfig: { nickname: 'My car', id: 'abc-123', pin: '1234' },
+	});
+	recorder.record('poll', { refresh: false }, { location: { latitude: 52.1, longitude: 5.12 } });
+	const [first, second] = recorder.entries;
+	assert.strictEqual(first.response.status.vin, '***');
+	assert.deepStrictEqual(first.response.vehicleConfig, { nickname: '***', id: '***', pin: '***' });
+	assert.deepStrictEqual(first.response.location, { latitude: 0, longitude: 0 });
+	assert.deepStrictEqual(second.response.location, { latitude: 0.01, longitude: 0 });
+});
+
+test('values that are no personal data are kept as they are', () => {
+	const recorder = new SessionRecorder();
+	// e.g. a PIN of 1234 must not change a time or an odometer value that contains those digits
+	recorder.record('poll', null, { status: { time: '20211234185232' }, odometer: { value: 1234, unit: 1 } });
+	const [entry] = recorder.entries;
+	assert.strictEqual(entry.response.status.time, '20211234185232');
+	assert.deepStrictEqual(entry.response.odometer, { value: 1234, unit: 1 });
+});
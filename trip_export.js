@@ -0,0 +1,144 @@
+/*
+Copyright 2020 - 2021, Robin de Gruijter (gruijter@hotmail.com)
+
+This file is part of com.gruijter.hyundai_kia.
+
+com.gruijter.hyundai_kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.gruijter.hyundai_kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// renders recorded trips (see drivers/trip_log.js) as GPX tracks, KML or CSV
+
+const escapeXml = (str) => `${str === undefined || str === null ? '' : str}`
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+	const str = `${value === undefined || value === null ? '' : value}`;
+	return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const isoTime = (time) => (Number.isFinite(time) ? new Date(time).toISOString() : '');
+
+// start point, track samples and end point of a trip
+const tripPoints = (trip) => [trip.start, ...(trip.track || []), trip.end]
+	.filter((point) => point && Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+
+const tripName = (trip) => `${isoTime(trip.start.time)} ${trip.start.address || ''} > ${trip.end.address || ''}`;
+
+const tripDescription = (trip) => `${trip.distance} km, ${trip.duration} min, ${trip.avgSpeed} km/h, SoC ${trip.socDelta}%`;
+
+const toGPX = (trips, name) => {
+	const tracks = trips.map((trip) => {
+		const points = tripPoints(trip).map((point) => {
+			const ele = Number.isFinite(point.altitude) ? `<ele>${point.altitude}</ele>` : '';
+			return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${ele}<time>${isoTime(point.time)}</time></trkpt>`;
+		});
+		return [
+			'  <trk>',
+			`    <name>${escapeXml(tripName(trip))}</name>`,
+			`    <desc>${escapeXml(tripDescription(trip))}</desc>`,
+			'    <trkseg>',
+			...points,
+			'    </trkseg>',
+			'  </trk>',
+		].join('\n');
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<gpx version="1.1" creator="com.gruijter.hyundai_kia" xmlns="http://www.topografix.com/GPX/1/1">',
+		`  <metadata><name>${escapeXml(name)}</name></metadata>`,
+		...tracks,
+		'</gpx>',
+		'',
+	].join('\n');
+};
+
+const toKML = (trips, name) => {
+	const placemarks = trips.map((trip) => {
+		const coordinates = tripPoints(trip)
+			.map((point) => `${point.longitude},${point.latitude},${Number.isFinite(point.altitude) ? point.altitude : 0}`)
+			.join(' ');
+		return [
+			'    <Placemark>',
+			`      <name>${escapeXml(tripName(trip))}</name>`,
+			`      <description>${escapeXml(tripDescription(trip))}</description>`,
+			`      <TimeSpan><begin>${isoTime(trip.start.time)}</begin><end>${isoTime(trip.end.time)}</end></TimeSpan>`,
+			`      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+			'    </Placemark>',
+		].join('\n');
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<kml xmlns="http://www.opengis.net/kml/2.2">',
+		'  <Document>',
+		`    <name>${escapeXml(name)}</name>`,
+		...placemarks,
+		'  </Document>',
+		'</kml>',
+		'',
+	].join('\n');
+};
+
+const csvColumns = [
+	['id', (trip) => trip.id],
+	['start_time', (trip) => isoTime(trip.start.time)],
+	['end_time', (trip) => isoTime(trip.end.time)],
+	['start_address', (trip) => trip.start.address],
+	['end_address', (trip) => trip.end.address],
+	['start_latitude', (trip) => trip.start.latitude],
+	['start_longitude', (trip) => trip.start.longitude],
+	['end_latitude', (trip) => trip.end.latitude],
+	['end_longitude', (trip) => trip.end.longitude],
+	['start_odometer', (trip) => trip.start.odometer],
+	['end_odometer', (trip) => trip.end.odometer],
+	['distance', (trip) => trip.distance],
+	['duration', (trip) => trip.duration],
+	['avg_speed', (trip) => trip.avgSpeed],
+	['max_speed', (trip) => trip.maxSpeed],
+	['soc_delta', (trip) => trip.socDelta],
+];
+
+const toCSV = (trips) => {
+	const header = csvColumns.map((column) => column[0]).join(',');
+	const lines = trips.map((trip) => csvColumns.map((column) => escapeCsv(column[1](trip))).join(','));
+	return [header, ...lines, ''].join('\n');
+};
+
+const formats = {
+	gpx: { render: toGPX, mimeType: 'application/gpx+xml' },
+	kml: { render: toKML, mimeType: 'application/vnd.google-earth.kml+xml' },
+	csv: { render: toCSV, mimeType: 'text/csv' },
+};
+
+// returns { filename, mimeType, data }
+const exportTrips = (trips, format, name) => {
+	const exporter = formats[format];
+	if (!exporter) throw Error(`Unknown export format: ${format}`);
+	const filename = `${(name || 'trips').replace(/[^a-zA-Z0-9-_]/g, '_')}.${format}`;
+	return {
+		filename,
+		mimeType: exporter.mimeType,
+		data: exporter.render(trips, name),
+	};
+};
+
+module.exports.toGPX = toGPX;
+module.exports.toKML = toKML;
+module.exports.toCSV = toCSV;
+module.exports.exportTrips = exportTrips;